@@ -0,0 +1,232 @@
+// migrate.js — versioned schema migrations for retail.db
+//
+//   npm run migrate                        apply every pending migration
+//   npm run migrate -- --to 7              ...or only those up to version 7
+//   npm run migrate:status                 list applied and pending migrations
+//   npm run migrate:rollback               undo the latest migration
+//   npm run migrate:rollback -- --to 5     undo everything after version 5
+//
+// Each migration is migrations/NNN_name.js exporting up(m) and down(m), where
+// m wraps the connection (see migrationHelpers). A migration runs in its own
+// transaction together with its schema_version row, so it applies fully or not
+// at all. The server applies pending migrations itself when it starts.
+const sqlite3 = require("sqlite3").verbose();
+const path = require("path");
+const fs = require("fs");
+
+const dbFile = path.join(__dirname, "retail.db");
+const migrationsDir = path.join(__dirname, "migrations");
+
+function loadMigrations() {
+  const migrations = fs
+    .readdirSync(migrationsDir)
+    .map((file) => /^(\d+)_(\w+)\.js$/.exec(file))
+    .filter(Boolean)
+    .map(([file, version, name]) => ({ version: Number(version), name, ...require(path.join(migrationsDir, file)) }))
+    .sort((a, b) => a.version - b.version);
+  migrations.forEach((m, i) => {
+    if (i && m.version === migrations[i - 1].version) throw new Error(`Two migrations are numbered ${m.version}`);
+    if (typeof m.up !== "function" || typeof m.down !== "function") {
+      throw new Error(`Migration ${m.version} must export up and down`);
+    }
+  });
+  return migrations;
+}
+
+/**
+ * What a migration gets to work with: promise versions of run/get/all/exec,
+ * plus addColumn/dropColumn that skip columns already added or dropped.
+ * Databases from before migrations grew their columns at different times,
+ * so a migration cannot assume which of them are there yet.
+ */
+function migrationHelpers(db) {
+  const run = (sql, params = []) =>
+    new Promise((resolve, reject) => {
+      db.run(sql, params, function (err) {
+        if (err) reject(err);
+        else resolve(this);
+      });
+    });
+  const get = (sql, params = []) =>
+    new Promise((resolve, reject) => db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row))));
+  const all = (sql, params = []) =>
+    new Promise((resolve, reject) => db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows))));
+  const exec = (sql) => new Promise((resolve, reject) => db.exec(sql, (err) => (err ? reject(err) : resolve())));
+  const hasColumn = async (table, column) =>
+    (await all(`PRAGMA table_info(${table})`)).some((c) => c.name === column);
+
+  return {
+    run,
+    get,
+    all,
+    exec,
+    hasColumn,
+    async addColumn(table, column, type) {
+      if (!(await hasColumn(table, column))) await run(`ALTER TABLE ${table} ADD COLUMN ${column} ${type}`);
+    },
+    async dropColumn(table, column) {
+      if (!(await hasColumn(table, column))) return;
+      const foreignKeys = await all(`PRAGMA foreign_key_list(${table})`);
+      if (foreignKeys.some((fk) => fk.from === column)) await rebuildWithout(table, column, foreignKeys);
+      else await run(`ALTER TABLE ${table} DROP COLUMN ${column}`);
+    },
+  };
+
+  // SQLite will not drop a column named in a FOREIGN KEY clause (databases
+  // created before migrations declared some inline), so copy the table without it
+  async function rebuildWithout(table, column, foreignKeys) {
+    const columns = (await all(`PRAGMA table_info(${table})`)).filter((c) => c.name !== column);
+    const primaryKey = columns
+      .filter((c) => c.pk)
+      .sort((a, b) => a.pk - b.pk)
+      .map((c) => c.name);
+    const indexes = await all("SELECT sql FROM sqlite_master WHERE type = 'index' AND tbl_name = ? AND sql IS NOT NULL", [
+      table,
+    ]);
+    const definitions = [
+      ...columns.map((c) =>
+        [c.name, c.type, c.notnull && "NOT NULL", c.dflt_value !== null && `DEFAULT ${c.dflt_value}`]
+          .filter(Boolean)
+          .join(" ")
+      ),
+      ...(primaryKey.length ? [`PRIMARY KEY(${primaryKey.join(", ")})`] : []),
+      ...foreignKeys
+        .filter((fk) => fk.from !== column)
+        .map((fk) => `FOREIGN KEY(${fk.from}) REFERENCES ${fk.table}(${fk.to})`),
+    ];
+    const names = columns.map((c) => c.name).join(",");
+    await run(`CREATE TABLE ${table}_rebuild (\n  ${definitions.join(",\n  ")}\n)`);
+    await run(`INSERT INTO ${table}_rebuild (${names}) SELECT ${names} FROM ${table}`);
+    await run(`DROP TABLE ${table}`);
+    await run(`ALTER TABLE ${table}_rebuild RENAME TO ${table}`);
+    for (const { sql } of indexes) {
+      if (!sql.includes(column)) await run(sql);
+    }
+  }
+}
+
+/**
+ * Applied and pending migrations. `unknown` lists versions recorded in the
+ * database that have no script here, i.e. the database was migrated by newer code.
+ */
+async function status(db) {
+  const m = migrationHelpers(db);
+  await m.run(
+    `CREATE TABLE IF NOT EXISTS schema_version (
+       version INTEGER PRIMARY KEY,
+       name TEXT NOT NULL,
+       applied_at TEXT NOT NULL
+     )`
+  );
+  const migrations = loadMigrations();
+  const applied = await m.all("SELECT version, name, applied_at FROM schema_version ORDER BY version");
+  const appliedVersions = new Set(applied.map((a) => a.version));
+  const known = new Set(migrations.map((mig) => mig.version));
+  return {
+    version: applied.length ? applied[applied.length - 1].version : 0,
+    applied,
+    pending: migrations.filter((mig) => !appliedVersions.has(mig.version)),
+    unknown: applied.filter((a) => !known.has(a.version)),
+    migrations,
+  };
+}
+
+async function inTransaction(m, work) {
+  await m.run("BEGIN IMMEDIATE");
+  try {
+    await work();
+    await m.run("COMMIT");
+  } catch (err) {
+    await m.run("ROLLBACK").catch(() => {});
+    throw err;
+  }
+}
+
+/** Applies pending migrations in order, up to and including version `to` if given. */
+async function migrate(db, { to = Infinity, log = console.log } = {}) {
+  const state = await status(db);
+  if (state.unknown.length) {
+    throw new Error(
+      `Database has migration(s) ${state.unknown.map((a) => a.version).join(", ")} that this code does not know; ` +
+        "roll them back with the code that applied them"
+    );
+  }
+  const m = migrationHelpers(db);
+  const todo = state.pending.filter((mig) => mig.version <= to);
+  for (const mig of todo) {
+    await inTransaction(m, async () => {
+      await mig.up(m);
+      await m.run("INSERT INTO schema_version (version,name,applied_at) VALUES (?,?,?)", [
+        mig.version,
+        mig.name,
+        new Date().toISOString(),
+      ]);
+    });
+    log(`⬆️  Applied migration ${mig.version} ${mig.name}`);
+  }
+  return todo.length;
+}
+
+/** Undoes the latest `steps` applied migrations, or every one after version `to`. */
+async function rollback(db, { to, steps = 1, log = console.log } = {}) {
+  const state = await status(db);
+  const byVersion = new Map(state.migrations.map((mig) => [mig.version, mig]));
+  const newestFirst = [...state.applied].reverse();
+  const todo = to === undefined ? newestFirst.slice(0, steps) : newestFirst.filter((a) => a.version > to);
+  const m = migrationHelpers(db);
+  for (const applied of todo) {
+    const mig = byVersion.get(applied.version);
+    if (!mig) throw new Error(`Migration ${applied.version} ${applied.name} has no script here to roll it back`);
+    await inTransaction(m, async () => {
+      await mig.down(m);
+      await m.run("DELETE FROM schema_version WHERE version = ?", [mig.version]);
+    });
+    log(`⬇️  Rolled back migration ${mig.version} ${mig.name}`);
+  }
+  return todo.length;
+}
+
+module.exports = { dbFile, migrate, rollback, status, migrationHelpers };
+
+// === Command line ===
+function option(args, name) {
+  const i = args.indexOf(name);
+  if (i === -1) return undefined;
+  const value = Number(args[i + 1]);
+  if (!Number.isInteger(value) || value < 0) throw new Error(`${name} needs a whole number`);
+  return value;
+}
+
+async function cli(db, [command = "up", ...args]) {
+  if (command === "up") {
+    const count = await migrate(db, { to: option(args, "--to") });
+    if (!count) console.log("Schema is up to date.");
+  } else if (command === "rollback") {
+    const count = await rollback(db, { to: option(args, "--to"), steps: option(args, "--steps") });
+    if (!count) console.log("Nothing to roll back.");
+  } else if (command === "status") {
+    const state = await status(db);
+    console.log(`Schema version ${state.version} (${state.applied.length} applied, ${state.pending.length} pending)`);
+    const appliedVersions = new Map(state.applied.map((a) => [a.version, a]));
+    const rows = [
+      ...state.migrations.map((mig) => [mig.version, mig.name, appliedVersions.get(mig.version)]),
+      ...state.unknown.map((a) => [a.version, `${a.name} (no script here)`, a]),
+    ].sort((a, b) => a[0] - b[0]);
+    rows.forEach(([version, name, applied]) => {
+      const num = String(version).padStart(3, "0");
+      console.log(`  ${applied ? "✔" : " "} ${num} ${name.padEnd(28)} ${applied ? applied.applied_at : "pending"}`);
+    });
+  } else {
+    throw new Error(`Unknown command "${command}" (use up, status or rollback)`);
+  }
+}
+
+if (require.main === module) {
+  const db = new sqlite3.Database(dbFile);
+  cli(db, process.argv.slice(2))
+    .catch((err) => {
+      console.error("❌", err.message);
+      process.exitCode = 1;
+    })
+    .finally(() => db.close());
+}
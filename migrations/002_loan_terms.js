@@ -0,0 +1,20 @@
+// Loan lifecycle and terms, and the interest/principal split of each repayment
+const columns = [
+  ["loans", "status", "TEXT DEFAULT 'open'"],
+  ["loans", "interest_type", "TEXT DEFAULT 'simple'"],
+  ["loans", "disbursed_on", "TEXT"],
+  ["loans", "tenure_months", "INTEGER DEFAULT 12"],
+  ["loans", "due_date", "TEXT"],
+  ["payments", "interest_part", "REAL DEFAULT 0"],
+  ["payments", "principal_part", "REAL DEFAULT 0"],
+];
+
+module.exports = {
+  async up(m) {
+    for (const [table, column, type] of columns) await m.addColumn(table, column, type);
+  },
+
+  async down(m) {
+    for (const [table, column] of [...columns].reverse()) await m.dropColumn(table, column);
+  },
+};
@@ -0,0 +1,19 @@
+// Credit invoices that open a customer loan, and per-customer credit limits
+const columns = [
+  ["loans", "invoice_id", "TEXT"],
+  ["invoices", "amount_paid", "REAL"],
+  ["invoices", "credit_amount", "REAL DEFAULT 0"],
+  ["invoices", "loan_id", "TEXT"],
+  ["customers", "credit_limit", "REAL"],
+  ["customers", "risk_status", "TEXT DEFAULT 'active'"],
+];
+
+module.exports = {
+  async up(m) {
+    for (const [table, column, type] of columns) await m.addColumn(table, column, type);
+  },
+
+  async down(m) {
+    for (const [table, column] of [...columns].reverse()) await m.dropColumn(table, column);
+  },
+};
@@ -0,0 +1,34 @@
+// Supplier purchase orders; stock received against one points back at it
+module.exports = {
+  async up(m) {
+    await m.exec(`
+      -- status: open, partial, received, cancelled
+      CREATE TABLE IF NOT EXISTS purchase_orders (
+        po_id TEXT PRIMARY KEY,
+        supplier_id TEXT,
+        order_date TEXT,
+        status TEXT DEFAULT 'open',
+        notes TEXT,
+        FOREIGN KEY(supplier_id) REFERENCES suppliers(supplier_id)
+      );
+
+      CREATE TABLE IF NOT EXISTS purchase_order_lines (
+        po_id TEXT,
+        product_id TEXT,
+        quantity_ordered INTEGER,
+        quantity_received INTEGER DEFAULT 0,
+        unit_cost REAL,
+        PRIMARY KEY(po_id, product_id),
+        FOREIGN KEY(po_id) REFERENCES purchase_orders(po_id),
+        FOREIGN KEY(product_id) REFERENCES products(product_id)
+      );
+    `);
+    await m.addColumn("stock", "po_id", "TEXT");
+  },
+
+  async down(m) {
+    await m.dropColumn("stock", "po_id");
+    await m.run("DROP TABLE IF EXISTS purchase_order_lines");
+    await m.run("DROP TABLE IF EXISTS purchase_orders");
+  },
+};
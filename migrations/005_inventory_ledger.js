@@ -0,0 +1,33 @@
+// Every change to stock on hand (kind: opening, receipt, sale, return, adjustment)
+module.exports = {
+  async up(m) {
+    await m.exec(`
+      CREATE TABLE IF NOT EXISTS inventory_movements (
+        movement_id INTEGER PRIMARY KEY AUTOINCREMENT,
+        product_id TEXT NOT NULL,
+        quantity INTEGER NOT NULL,
+        kind TEXT NOT NULL,
+        reason TEXT,
+        ref TEXT,
+        created_at TEXT,
+        FOREIGN KEY(product_id) REFERENCES products(product_id)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_inventory_movements_product ON inventory_movements(product_id);
+    `);
+    // Products that predate the ledger start it with their current quantity
+    await m.run(
+      `INSERT INTO inventory_movements (product_id,quantity,kind,reason,created_at)
+       SELECT product_id, quantity_stock, 'opening', 'Stock on hand when the ledger started', ?
+       FROM products p
+       WHERE COALESCE(quantity_stock, 0) <> 0
+         AND NOT EXISTS (SELECT 1 FROM inventory_movements m WHERE m.product_id = p.product_id)`,
+      [new Date().toISOString()]
+    );
+  },
+
+  async down(m) {
+    await m.run("DROP INDEX IF EXISTS idx_inventory_movements_product");
+    await m.run("DROP TABLE IF EXISTS inventory_movements");
+  },
+};
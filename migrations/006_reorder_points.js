@@ -0,0 +1,15 @@
+// Per-product reorder level and the quantity to order when stock falls to it
+const columns = [
+  ["products", "reorder_level", "INTEGER"],
+  ["products", "reorder_qty", "INTEGER"],
+];
+
+module.exports = {
+  async up(m) {
+    for (const [table, column, type] of columns) await m.addColumn(table, column, type);
+  },
+
+  async down(m) {
+    for (const [table, column] of [...columns].reverse()) await m.dropColumn(table, column);
+  },
+};
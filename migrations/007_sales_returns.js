@@ -0,0 +1,38 @@
+// Sales returns; each return is a credit note against its invoice
+module.exports = {
+  async up(m) {
+    await m.exec(`
+      CREATE TABLE IF NOT EXISTS sales_returns (
+        return_id TEXT PRIMARY KEY,
+        invoice_id TEXT,
+        date TEXT,
+        amount REAL,
+        refunded REAL DEFAULT 0,
+        credited_to_loan REAL DEFAULT 0,
+        loan_id TEXT,
+        reason TEXT,
+        FOREIGN KEY(invoice_id) REFERENCES invoices(invoice_id),
+        FOREIGN KEY(loan_id) REFERENCES loans(loan_id)
+      );
+
+      -- Returned quantities per original sales line
+      CREATE TABLE IF NOT EXISTS sales_return_lines (
+        return_id TEXT,
+        sales_id TEXT,
+        product_id TEXT,
+        quantity INTEGER,
+        amount REAL,
+        PRIMARY KEY(return_id, sales_id),
+        FOREIGN KEY(return_id) REFERENCES sales_returns(return_id),
+        FOREIGN KEY(sales_id) REFERENCES sales(sales_id)
+      );
+    `);
+    await m.addColumn("invoices", "returned_amt", "REAL DEFAULT 0");
+  },
+
+  async down(m) {
+    await m.dropColumn("invoices", "returned_amt");
+    await m.run("DROP TABLE IF EXISTS sales_return_lines");
+    await m.run("DROP TABLE IF EXISTS sales_returns");
+  },
+};
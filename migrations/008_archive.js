@@ -0,0 +1,12 @@
+// Deleting a business record archives it by setting deleted_at
+const tables = ["customers", "suppliers", "products", "stock", "sales", "invoices", "loans", "payments"];
+
+module.exports = {
+  async up(m) {
+    for (const table of tables) await m.addColumn(table, "deleted_at", "TEXT");
+  },
+
+  async down(m) {
+    for (const table of tables) await m.dropColumn(table, "deleted_at");
+  },
+};
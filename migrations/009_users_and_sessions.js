@@ -0,0 +1,28 @@
+// Staff accounts (role: admin, cashier, inventory_clerk, accountant) and their
+// signed-in sessions, stored by a hash of the bearer token
+module.exports = {
+  async up(m) {
+    await m.exec(`
+      CREATE TABLE IF NOT EXISTS users (
+        username TEXT PRIMARY KEY,
+        password_hash TEXT NOT NULL,
+        role TEXT NOT NULL,
+        active INTEGER DEFAULT 1,
+        created_at TEXT
+      );
+
+      CREATE TABLE IF NOT EXISTS sessions (
+        token_hash TEXT PRIMARY KEY,
+        username TEXT NOT NULL,
+        created_at TEXT,
+        expires_at TEXT NOT NULL,
+        FOREIGN KEY(username) REFERENCES users(username)
+      );
+    `);
+  },
+
+  async down(m) {
+    await m.run("DROP TABLE IF EXISTS sessions");
+    await m.run("DROP TABLE IF EXISTS users");
+  },
+};
@@ -0,0 +1,25 @@
+// Who changed what: one row per create/update/delete of a business entity,
+// changes holds a JSON { column: { before, after } } diff
+module.exports = {
+  async up(m) {
+    await m.exec(`
+      CREATE TABLE IF NOT EXISTS audit_log (
+        audit_id INTEGER PRIMARY KEY AUTOINCREMENT,
+        created_at TEXT NOT NULL,
+        username TEXT,
+        entity TEXT NOT NULL,
+        entity_id TEXT,
+        action TEXT NOT NULL,
+        request TEXT,
+        changes TEXT
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_audit_log_entity ON audit_log(entity, entity_id);
+    `);
+  },
+
+  async down(m) {
+    await m.run("DROP INDEX IF EXISTS idx_audit_log_entity");
+    await m.run("DROP TABLE IF EXISTS audit_log");
+  },
+};
@@ -0,0 +1,34 @@
+// GST: rates per category (products may override), the customer's state for
+// the place of supply, and the tax split on every sale line and invoice
+const columns = [
+  ["products", "tax_rate", "REAL"],
+  ["customers", "state", "TEXT"],
+  ["sales", "taxable_value", "REAL"],
+  ["sales", "tax_rate", "REAL"],
+  ["sales", "cgst", "REAL DEFAULT 0"],
+  ["sales", "sgst", "REAL DEFAULT 0"],
+  ["sales", "igst", "REAL DEFAULT 0"],
+  ["invoices", "place_of_supply", "TEXT"],
+  ["invoices", "taxable_amt", "REAL"],
+  ["invoices", "cgst", "REAL DEFAULT 0"],
+  ["invoices", "sgst", "REAL DEFAULT 0"],
+  ["invoices", "igst", "REAL DEFAULT 0"],
+  ["invoices", "tax_amt", "REAL DEFAULT 0"],
+];
+
+module.exports = {
+  async up(m) {
+    await m.run(
+      `CREATE TABLE IF NOT EXISTS tax_rates (
+         category TEXT PRIMARY KEY,
+         rate REAL NOT NULL
+       )`
+    );
+    for (const [table, column, type] of columns) await m.addColumn(table, column, type);
+  },
+
+  async down(m) {
+    for (const [table, column] of [...columns].reverse()) await m.dropColumn(table, column);
+    await m.run("DROP TABLE IF EXISTS tax_rates");
+  },
+};
@@ -0,0 +1,16 @@
+// What each stock intake cost per unit, for inventory valuation and margins
+module.exports = {
+  async up(m) {
+    await m.addColumn("stock", "unit_cost", "REAL");
+    // Goods received before intake rows carried a cost take it from their order line
+    await m.run(
+      `UPDATE stock SET unit_cost = (
+         SELECT l.unit_cost FROM purchase_order_lines l WHERE l.po_id = stock.po_id AND l.product_id = stock.product_id)
+       WHERE unit_cost IS NULL AND po_id IS NOT NULL`
+    );
+  },
+
+  async down(m) {
+    await m.dropColumn("stock", "unit_cost");
+  },
+};
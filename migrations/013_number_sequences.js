@@ -0,0 +1,20 @@
+// Sequences behind server-generated ids (year is the one next_value counts in).
+// The server adds a row per numbered entity when it starts.
+module.exports = {
+  async up(m) {
+    await m.run(
+      `CREATE TABLE IF NOT EXISTS number_sequences (
+         entity TEXT PRIMARY KEY,
+         prefix TEXT NOT NULL,
+         pad INTEGER DEFAULT 5,
+         yearly_reset INTEGER DEFAULT 0,
+         year INTEGER,
+         next_value INTEGER DEFAULT 1
+       )`
+    );
+  },
+
+  async down(m) {
+    await m.run("DROP TABLE IF EXISTS number_sequences");
+  },
+};
@@ -1,96 +1,196 @@
 /* -----------------------------
-  Sample in-memory datasets
-   (Replace with API calls to backend)
+  Lookup lists for pickers and forms
+   (CRUD tables page through the API themselves)
    ----------------------------- */
 let data = {
   customers: [],
   suppliers: [],
-  products: [],
-  stock: [],
-  sales: [],
-  invoices: [],
-  loans: [],
-  payments: []
+  products: []
 };
 
-// Fetch all data from backend
-// Fetch all data from backend (robust)
-async function fetchAllData() {
-  function ensureArray(x, name) {
-    if (Array.isArray(x)) return x;
-    if (x == null) {
-      console.warn(`[fetchAllData] ${name} is null/undefined, coercing to []`);
-      return [];
-    }
-    // If it's an object (single row), wrap in array
-    if (typeof x === 'object') {
-      console.warn(`[fetchAllData] ${name} was object, wrapping into array`, x);
-      return [x];
+// Every row of a list, a page at a time, so pickers never miss records
+const lookupPageSize = 1000;
+async function fetchList(key) {
+  const rows = [];
+  for (let page = 1; ; page++) {
+    const res = await api(`http://localhost:4000/api/${key}?limit=${lookupPageSize}&page=${page}`);
+    if (!res.ok) {
+      console.error(`[fetchAllData] HTTP error for ${key}:`, res.status, res.statusText);
+      throw new Error('One or more backend requests failed');
     }
-    // otherwise log & coerce
-    console.warn(`[fetchAllData] ${name} unexpected type (${typeof x}), coercing to []:`, x);
-    return [];
+    const list = await res.json();
+    const pageRows = Array.isArray(list?.data) ? list.data : [];
+    rows.push(...pageRows);
+    if (pageRows.length < lookupPageSize || rows.length >= list.total) return rows;
   }
+}
 
+// Reload the lookup lists and whichever CRUD table is on screen
+async function fetchAllData() {
   try {
-    const responses = await Promise.all([
-      fetch('http://localhost:4000/api/customers'),
-      fetch('http://localhost:4000/api/suppliers'),
-      fetch('http://localhost:4000/api/products'),
-      fetch('http://localhost:4000/api/stock'),
-      fetch('http://localhost:4000/api/sales'),
-      fetch('http://localhost:4000/api/invoices'),
-      fetch('http://localhost:4000/api/loans'),
-      fetch('http://localhost:4000/api/payments')
-    ]);
-
-    // check each response status
-    for (let i = 0; i < responses.length; i++) {
-      if (!responses[i].ok) {
-        console.error(`[fetchAllData] HTTP error for request ${i}:`, responses[i].status, responses[i].statusText);
-        throw new Error('One or more backend requests failed');
-      }
-    }
-
-    // parse JSON
-    const [custResp, suppResp, prodResp, stockResp, salesResp, invResp, loanResp, payResp] = await Promise.all(
-      responses.map(r => r.json().catch(err => { console.error('JSON parse failed', err); return null; }))
-    );
-
-    // Extract data arrays (check if wrapped in response object)
-   const extractData = (resp) => {
-      // Backend is already returning arrays, so just return them directly
-      if (Array.isArray(resp)) return resp;
-      
-      // Fallback for edge cases
-      if (resp?.data && Array.isArray(resp.data)) return resp.data;
-      if (resp?.result && Array.isArray(resp.result)) return resp.result;
-      
-      // If nothing works, return empty array
-      return [];
-    };
-
-    // ✅ ADD THESE LINES - Assign extracted data to the data object
-    data.customers = extractData(custResp);
-    data.suppliers = extractData(suppResp);
-    data.products = extractData(prodResp);
-    data.stock = extractData(stockResp);
-    data.sales = extractData(salesResp);
-    data.invoices = extractData(invResp);
-    data.loans = extractData(loanResp);
-    data.payments = extractData(payResp);
-
-    console.log('✅ Data loaded:', data); // Debug log
+    // lists the signed-in role can't read stay empty
+    const keys = Object.keys(data);
+    const lists = await Promise.all(keys.map(k => canRead(k) ? fetchList(k) : Promise.resolve([])));
+    keys.forEach((k, i) => { data[k] = lists[i]; });
 
     // call renders
     refreshDashboard();       // update cards/charts
-    renderCrudView('customers'); // show customers by default
+    const view = $('.nav-link.active')?.dataset.target;
+    if (defs[view]) renderCrudView(view);
     showToast('✅ Data loaded from backend', 'success');
   } catch (err) {
     console.error('Backend fetch failed:', err);
     showToast('❌ Failed to connect to backend', 'danger');
   }
 }
+// Resources behind the dashboard cards and charts
+const cardResources = ['customers', 'products', 'loans', 'payments'];
+const chartResources = ['sales', 'invoices', 'payments'];
+let cardsTimer;
+let chartsTimer;
+
+// Patch one saved or removed record (row null or archived) into the lookup
+// lists and whichever view shows that resource
+function applyChange(resource, id, row) {
+  const removed = !row || Boolean(row.deleted_at);
+  if (data[resource]) {
+    const idField = defs[resource].fields[0].name;
+    const idx = data[resource].findIndex(r => String(r[idField]) === String(id));
+    if (removed) { if (idx >= 0) data[resource].splice(idx, 1); }
+    else if (idx >= 0) data[resource][idx] = row;
+    else data[resource].push(row);
+  }
+  const view = $('.nav-link.active')?.dataset.target;
+  if (view === 'dashboard' && cardResources.includes(resource)) {
+    clearTimeout(cardsTimer);
+    cardsTimer = setTimeout(refreshCards, 300);
+  }
+  if (view === 'dashboard' && chartResources.includes(resource)) {
+    clearTimeout(chartsTimer);
+    chartsTimer = setTimeout(refreshCharts, 1000);
+  }
+  if (viewResource[view] !== resource) return;
+  if (defs[view]) listState[view]?.patch?.(id, removed ? null : row);
+  else customViews[view]?.();
+}
+
+// Edits made in other tabs and at other counters arrive through the change feed
+let changeCursor = null;
+const changePollMs = 15000;
+
+async function syncChanges() {
+  if (!session) return;
+  try {
+    const res = await api(`http://localhost:4000/api/changes${changeCursor === null ? '' : `?since=${changeCursor}`}`);
+    const feed = await res.json();
+    if (!res.ok) return;
+    const first = changeCursor === null;
+    changeCursor = feed.cursor;
+    if (!first) feed.changes.forEach(c => applyChange(c.entity, c.id, c.row));
+    if (feed.more) await syncChanges();
+  } catch (err) {
+    console.warn('Change feed failed:', err);
+  }
+}
+// the poll only covers gaps while the live stream is down
+setInterval(() => { if (liveEvents?.readyState !== EventSource.OPEN) syncChanges(); }, changePollMs);
+
+// Live updates pushed by the server as other counters save
+let liveEvents = null;
+
+function connectLive() {
+  liveEvents?.close();
+  liveEvents = null;
+  if (!session) return;
+  liveEvents = new EventSource(`http://localhost:4000/api/events?token=${encodeURIComponent(session.token)}`);
+  liveEvents.addEventListener('change', e => {
+    const change = JSON.parse(e.data);
+    if (changeCursor !== null) changeCursor = Math.max(changeCursor, change.cursor);
+    applyChange(change.entity, change.id, change.row);
+  });
+  // catch up on whatever changed while the stream was down
+  liveEvents.addEventListener('open', () => syncChanges());
+}
+
+/* -----------------------------
+  Session: sign-in and role-based views
+  ----------------------------- */
+let session = JSON.parse(localStorage.getItem('session') || 'null');
+
+// Every API call goes through here so it carries the sign-in token
+function api(url, options = {}) {
+  const headers = { ...(options.headers || {}) };
+  if (session) headers.Authorization = `Bearer ${session.token}`;
+  return fetch(url, { ...options, headers }).then(res => {
+    if (res.status === 401) showLogin();
+    return res;
+  });
+}
+
+// API resource each view reads; views not listed are open to every role
+const viewResource = {
+  customers: 'customers', suppliers: 'suppliers', products: 'products', stock: 'stock',
+  purchaseOrders: 'purchase-orders', sales: 'sales', invoices: 'invoices', loans: 'loans',
+  payments: 'payments', collections: 'reports/aging', 'tax-rates': 'tax-rates', gstSummary: 'reports/tax',
+  trash: 'trash', users: 'users'
+};
+const canRead = resource => !resource || Boolean(session?.access?.[resource]?.read);
+const canWrite = resource => Boolean(session?.access?.[resource]?.write);
+const isFinance = () => ['admin', 'accountant'].includes(session?.user?.role);
+
+function applyAccess() {
+  $all('.nav-link').forEach(link => {
+    link.style.display = canRead(viewResource[link.dataset.target]) ? '' : 'none';
+  });
+  $('#addQuickCustomer').style.display = canWrite('customers') ? '' : 'none';
+  $('#addQuickProduct').style.display = canWrite('products') ? '' : 'none';
+  $('#checkoutForm').credit_interest_rate.closest('.col-md-4').style.display = isFinance() ? '' : 'none';
+  $('#currentUser').textContent = `${session.user.username} · ${session.user.role.replace('_', ' ')}`;
+}
+
+function showLogin() {
+  session = null;
+  localStorage.removeItem('session');
+  connectLive();
+  $('#loginScreen').style.display = '';
+}
+
+function startSession() {
+  $('#loginScreen').style.display = 'none';
+  applyAccess();
+  changeCursor = null;
+  syncChanges().then(connectLive);
+  fetchAllData();
+  document.querySelector('[data-target="dashboard"]').click();
+}
+
+$('#loginForm').addEventListener('submit', async e => {
+  e.preventDefault();
+  const form = e.currentTarget;
+  try {
+    const res = await api('http://localhost:4000/api/auth/login', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ username: form.username.value, password: form.password.value })
+    });
+    const resp = await res.json();
+    if (!res.ok) return $('#loginError').textContent = resp.error || 'Sign-in failed';
+    session = resp;
+    localStorage.setItem('session', JSON.stringify(session));
+    form.reset();
+    $('#loginError').textContent = '';
+    startSession();
+  } catch (err) {
+    console.error(err);
+    $('#loginError').textContent = 'Cannot reach the server';
+  }
+});
+
+$('#logoutBtn').addEventListener('click', async () => {
+  await api('http://localhost:4000/api/auth/logout', { method: 'POST' }).catch(() => {});
+  showLogin();
+});
+
 /* -----------------------------
   Utilities
   ----------------------------- */
@@ -122,78 +222,135 @@ navLinks.forEach(link => {
     link.classList.add('active');
     const target = link.dataset.target;
     $all('.view').forEach(v => v.style.display = (v.id===target ? '' : 'none'));
-    if (target!=='dashboard') renderCrudView(target);
+    if (customViews[target]) customViews[target]();
+    else if (target!=='dashboard') renderCrudView(target);
     if (target==='dashboard') refreshDashboard();
   });
 });
 
+// Views with their own renderer instead of the generic CRUD table
+const customViews = {
+  collections: () => renderCollections(),
+  gstSummary: () => renderGstSummary(),
+  purchaseOrders: () => renderPurchaseOrders(),
+  trash: () => renderTrash()
+};
+
 /* -----------------------------
   Dashboard charts and cards
   ----------------------------- */
+// Counts and open balances come from the server, not from loaded lists
+function refreshCards() {
+  const setText = (sel, txt) => { const el = document.querySelector(sel); if (el) el.textContent = txt; };
+  api('http://localhost:4000/api/summary')
+    .then(r => r.ok ? r.json() : null)
+    .then(summary => {
+      if (!summary) return;
+      setText('#cardCustomers', summary.totalCustomers);
+      setText('#cardProducts', summary.totalProducts);
+      setText('#cardLoans', summary.totalLoans);
+      setText('#cardPending', summary.pendingPayments);
+    })
+    .catch(err => console.warn('Summary failed:', err));
+}
+
 function refreshDashboard() {
   try {
-    // safe shortcuts
-    const customers = Array.isArray(data.customers) ? data.customers : [];
-    const products  = Array.isArray(data.products) ? data.products : [];
-    const loans     = Array.isArray(data.loans) ? data.loans : [];
-    const payments  = Array.isArray(data.payments) ? data.payments : [];
-
-    // totals (safe)
-    const totalCustomers = customers.length;
-    const totalProducts  = products.length;
-    const totalLoans     = loans.length;
-    // pending payments: sum balances safely
-    const pendingPayments = loans.reduce((acc, l) => {
-      const bal = (l && typeof l.balance === 'number') ? l.balance : (Number(l && l.balance) || 0);
-      return acc + bal;
-    }, 0);
-
-    // update DOM cards (use your existing selectors)
-    const setText = (sel, txt) => { const el = document.querySelector(sel); if (el) el.textContent = txt; };
-    setText('#cardCustomers', totalCustomers);  // adjust selectors to your actual IDs/classes
-    setText('#cardProducts', totalProducts);
-    setText('#cardLoans', totalLoans);
-    setText('#cardPending', pendingPayments);
-
-    // Example: Monthly sales chart (guarded)
-    // If you create charts using Chart.js, ensure config exists before accessing datasets
-    try {
-      const salesByMonth = (Array.isArray(data.sales) ? data.sales : []).reduce((acc, s) => {
-        // assume s.date or s.date_added exists; normalize to YYYY-MM
-        const d = new Date(s.date || s.payment_date || s.date_added || Date.now());
-        const key = `${d.getFullYear()}-${String(d.getMonth()+1).padStart(2,'0')}`;
-        acc[key] = (acc[key] || 0) + (Number(s.price_total || s.amount_paid || 0) || 0);
-        return acc;
-      }, {});
-      // build labels & values
-      const labels = Object.keys(salesByMonth).sort();
-      const values = labels.map(k => salesByMonth[k]);
-
-      // only create/update chart if canvas exists
-      const salesCanvas = document.querySelector('#monthlySalesChart');
-      if (salesCanvas) {
-        // If you use Chart.js, destroy previous instance stored on element to avoid errors
-        if (salesCanvas._chartInstance) {
-          try { salesCanvas._chartInstance.destroy(); } catch(e){ /* ignore */ }
-        }
-        // create a new chart only if we have data
-        if (labels.length) {
-          const ctx = salesCanvas.getContext('2d');
-          // eslint-disable-next-line no-undef
-          salesCanvas._chartInstance = new Chart(ctx, {
-            type: 'line',
-            data: { labels, datasets: [{ label: 'Sales', data: values }] },
-            options: {}
-          });
-        }
+    refreshCards();
+    refreshCharts();
+    refreshLowStock();
+  } catch (err) {
+    console.error('refreshDashboard error:', err);
+  }
+}
+
+// Redraws a dashboard chart, replacing the one already on the canvas
+function drawChart(id, config) {
+  const canvas = document.getElementById(id);
+  if (!canvas) return;
+  canvas._chartInstance?.destroy();
+  // eslint-disable-next-line no-undef
+  canvas._chartInstance = new Chart(canvas.getContext('2d'), config);
+}
+
+// Sales, best sellers and repayments come pre-aggregated from the reports API
+async function refreshCharts() {
+  try {
+    if (canRead('reports/sales')) {
+      const res = await api('http://localhost:4000/api/reports/sales?group_by=month&top=5');
+      const report = await res.json();
+      if (res.ok) {
+        drawChart('salesChart', {
+          type: 'bar',
+          data: {
+            labels: report.rows.map(r => r.label),
+            // margin only comes back for finance roles
+            datasets: [
+              { label: 'Revenue', data: report.rows.map(r => r.revenue) },
+              ...(isFinance() ? [{ label: 'Margin', data: report.rows.map(r => r.margin), type: 'line' }] : [])
+            ]
+          },
+          options: { plugins: { legend: { position: 'bottom' } } }
+        });
+        drawChart('stockChart', {
+          type: 'bar',
+          data: {
+            labels: report.best_sellers.map(r => r.label),
+            datasets: [{ label: 'Units sold', data: report.best_sellers.map(r => r.quantity) }]
+          },
+          options: { indexAxis: 'y', plugins: { legend: { display: false } } }
+        });
       }
-    } catch (chartErr) {
-      console.warn('Chart update failed:', chartErr);
     }
+    if (canRead('reports/repayments')) {
+      const res = await api('http://localhost:4000/api/reports/repayments');
+      const report = await res.json();
+      if (res.ok) {
+        drawChart('loanChart', {
+          type: 'bar',
+          data: {
+            labels: report.rows.map(r => r.month),
+            datasets: [
+              { label: 'Principal', data: report.rows.map(r => r.principal) },
+              { label: 'Interest', data: report.rows.map(r => r.interest) }
+            ]
+          },
+          options: { scales: { x: { stacked: true }, y: { stacked: true } }, plugins: { legend: { position: 'bottom' } } }
+        });
+      }
+    }
+  } catch (err) {
+    console.warn('Chart update failed:', err);
+  }
+}
 
-    // stock updates / loan repayments widgets: guard similarly...
+// Low-stock widget: one draft order per supplier, ready to raise
+async function refreshLowStock() {
+  const wrap = $('#lowStockOrders');
+  if (!wrap) return;
+  try {
+    const res = await api('http://localhost:4000/api/reports/low-stock');
+    const report = await res.json();
+    if (!res.ok) return;
+    $('#lowStockCount').textContent = `${report.count} product${report.count === 1 ? '' : 's'} at or below reorder point`;
+    if (!report.items.length) {
+      wrap.innerHTML = '<div class="small muted">Nothing to reorder.</div>';
+      return;
+    }
+    wrap.innerHTML = report.items.map(i => `
+      <div class="d-flex justify-content-between small border-bottom py-1">
+        <span>${i.product_name} <span class="muted">(${i.product_id})</span></span>
+        <span>${i.quantity_stock} left · reorder at ${i.reorder_level}${i.on_order ? ` · ${i.on_order} on order` : ''}</span>
+      </div>`).join('') +
+      `<div class="d-flex flex-wrap gap-2 mt-2">${report.draft_orders.map((d, n) => d.supplier_id
+        ? `<button class="btn btn-sm btn-outline-primary" data-draft="${n}"><i class="bi bi-cart-plus"></i> Order from ${d.supplier_name || d.supplier_id} (${d.lines.length})</button>`
+        : `<span class="small muted">${d.lines.length} product(s) have no supplier</span>`).join('')}</div>`;
+    $all('[data-draft]', wrap).forEach(btn => btn.addEventListener('click', () => {
+      const draft = report.draft_orders[btn.dataset.draft];
+      openPurchaseOrder(draft.lines, draft.supplier_id);
+    }));
   } catch (err) {
-    console.error('refreshDashboard error:', err);
+    console.warn('Low stock widget failed:', err);
   }
 }
 
@@ -205,21 +362,33 @@ const defs = {
   customers: {
     title:'Customers', sub:'Add, edit and manage customers',
     headers:['ID','Name','Email','Phone','City','Actions'],
+    sorts:['cust_id','cust_name','email','phone_no','city_name'],
+    filters:[
+      {name:'city', label:'City', type:'text'},
+      {name:'risk_status', label:'Credit status', type:'select', options:['active','blocked']}
+    ],
     fields: [
-      {name:'cust_id', label:'Customer ID', type:'text', required:true},
+      {name:'cust_id', label:'Customer ID', type:'text', auto:true},
       {name:'cust_name', label:'Full Name', type:'text', required:true},
       {name:'email', label:'Email', type:'email'},
       {name:'phone_no', label:'Phone Number', type:'tel'},
       {name:'house_no', label:'House No', type:'text'},
       {name:'street_name', label:'Street', type:'text'},
-      {name:'city_name', label:'City', type:'text'}
+      {name:'city_name', label:'City', type:'text'},
+      {name:'state', label:'State', type:'text'},
+      {name:'credit_limit', label:'Credit Limit', type:'number', step:'0.01', finance:true},
+      {name:'risk_status', label:'Credit Status', type:'select', options:['active','blocked'], finance:true}
+    ],
+    actions:[
+      {icon:'bi-journal-text', title:'Account statement', handler: item => showStatement(item.cust_id)}
     ]
   },
   suppliers: {
     title:'Suppliers', sub:'Manage supplier details',
     headers:['ID','Name','Enterprise','Email','Phone','Actions'],
+    sorts:['supplier_id','supplier_name','enterprise_name','email_id','phone_no'],
     fields:[
-      {name:'supplier_id', label:'Supplier ID', type:'text', required:true},
+      {name:'supplier_id', label:'Supplier ID', type:'text', auto:true},
       {name:'supplier_name', label:'Name', type:'text', required:true},
       {name:'enterprise_name', label:'Enterprise Name', type:'text'},
       {name:'email_id', label:'Email', type:'email'},
@@ -230,72 +399,148 @@ const defs = {
   products: {
     title:'Products', sub:'Products & inventory',
     headers:['ID','Name','Category','Price','Qty','Supplier','Actions'],
+    sorts:['product_id','product_name','category','price','quantity_stock','supplier_id'],
+    filters:[
+      {name:'category', label:'Category', type:'text'},
+      {name:'max_stock', label:'Stock at most', type:'number'}
+    ],
     fields:[
-      {name:'product_id', label:'Product ID', type:'text', required:true},
+      {name:'product_id', label:'Product ID', type:'text', auto:true},
       {name:'product_name', label:'Product Name', type:'text', required:true},
       {name:'category', label:'Category', type:'text'},
       {name:'price', label:'Price', type:'number', step:'0.01'},
       {name:'quantity_stock', label:'Quantity', type:'number'},
-      {name:'supplier_id', label:'Supplier ID', type:'text'}
+      {name:'supplier_id', label:'Supplier ID', type:'text'},
+      {name:'reorder_level', label:'Reorder Level', type:'number'},
+      {name:'reorder_qty', label:'Reorder Quantity', type:'number'},
+      {name:'tax_rate', label:'GST Rate (%) — blank uses the category rate', type:'number', step:'0.01', finance:true}
+    ],
+    actions:[
+      {icon:'bi-clock-history', title:'Stock movements', handler: item => showMovements(item.product_id)}
     ]
   },
   stock: {
     title:'Stock', sub:'Stock intake & updates',
-    headers:['Stock ID','Product','Supplier','Qty','Date','Actions'],
+    headers:['Stock ID','Product','Supplier','Qty','Unit Cost','Date','Actions'],
+    sorts:['stock_id','product_id','supplier_id','quantity','unit_cost','date_added'],
+    filters:[
+      {name:'from', label:'From', type:'date'},
+      {name:'to', label:'To', type:'date'}
+    ],
     fields:[
-      {name:'stock_id', label:'Stock ID', type:'text', required:true},
+      {name:'stock_id', label:'Stock ID', type:'text', auto:true},
       {name:'product_id', label:'Product ID', type:'text', required:true},
       {name:'supplier_id', label:'Supplier ID', type:'text'},
       {name:'quantity', label:'Quantity', type:'number', required:true},
+      {name:'unit_cost', label:'Unit Cost', type:'number', step:'0.01'},
       {name:'date_added', label:'Date Added', type:'date'}
     ]
   },
   sales: {
     title:'Sales', sub:'Record product sales',
     headers:['Sale ID','Product','Invoice','Qty','Total','Actions'],
+    sorts:['sales_id','product_id','invoice_id','quantity_sold','price_total'],
+    filters:[
+      {name:'from', label:'From', type:'date'},
+      {name:'to', label:'To', type:'date'}
+    ],
     fields:[
-      {name:'sales_id', label:'Sale ID', type:'text', required:true},
+      {name:'sales_id', label:'Sale ID', type:'text', auto:true},
       {name:'product_id', label:'Product ID', type:'text', required:true},
-      {name:'invoice_id', label:'Invoice ID', type:'text'},
-      {name:'quantity_sold', label:'Quantity Sold', type:'number', required:true},
-      {name:'price_total', label:'Total Price', type:'number', step:'0.01'}
+      {name:'quantity_sold', label:'Quantity Sold', type:'number', required:true}
     ]
   },
   invoices: {
     title:'Invoices', sub:'Generate invoices',
-    headers:['Invoice ID','Customer','Total','Date','Payment','Actions'],
+    // new invoices are priced from their lines, so they come from the checkout
+    add:false,
+    headers:['Invoice ID','Customer','Total','Date','Payment','On Credit','Actions'],
+    sorts:['invoice_id','cust_id','total_amt','date','payment_mode','credit_amount'],
+    filters:[
+      {name:'from', label:'From', type:'date'},
+      {name:'to', label:'To', type:'date'}
+    ],
     fields:[
-      {name:'invoice_id', label:'Invoice ID', type:'text', required:true},
+      {name:'invoice_id', label:'Invoice ID', type:'text', auto:true},
       {name:'cust_id', label:'Customer ID', type:'text'},
-      {name:'total_amt', label:'Total Amount', type:'number'},
+      {name:'total_amt', label:'Total Amount', type:'number', auto:true},
       {name:'date', label:'Date', type:'date'},
       {name:'payment_mode', label:'Payment Mode', type:'text'}
+    ],
+    actions:[
+      {icon:'bi-printer', title:'Print invoice', handler: item => printInvoice(item.invoice_id)},
+      {icon:'bi-file-earmark-pdf', title:'Download PDF', handler: item => downloadInvoicePdf(item.invoice_id)},
+      {icon:'bi-arrow-return-left', title:'Return goods', handler: item => openReturn(item.invoice_id)}
+    ],
+    tools:[
+      {label:'Pay on credit', className:'btn-outline-success', handler: () => openCheckout('Credit')},
+      {label:'+ Checkout', className:'btn-success', handler: () => openCheckout()}
     ]
   },
   loans: {
     title:'Loans', sub:'Record & manage loans',
-    headers:['Loan ID','Customer','Amount','Interest','Balance','Actions'],
+    headers:['Loan ID','Customer','Amount','Interest','Balance','Due','Status','Actions'],
+    sorts:['loan_id','cust_id','loan_amount','interest_rate','balance','due_date','status'],
+    filters:[
+      {name:'status', label:'Status', type:'select', options:['open','closed']}
+    ],
     fields:[
-      {name:'loan_id', label:'Loan ID', type:'text', required:true},
-      {name:'cust_id', label:'Customer ID', type:'text'},
-      {name:'loan_amount', label:'Loan Amount', type:'number'},
-      {name:'interest_rate', label:'Interest Rate (%)', type:'number'},
-      {name:'balance', label:'Balance', type:'number'}
+      {name:'loan_id', label:'Loan ID', type:'text', auto:true},
+      {name:'cust_id', label:'Customer ID', type:'text', required:true},
+      {name:'loan_amount', label:'Loan Amount', type:'number', step:'0.01', required:true},
+      {name:'interest_rate', label:'Interest Rate (%)', type:'number', step:'0.01', finance:true},
+      {name:'interest_type', label:'Interest Type', type:'select', options:['simple','compound']},
+      {name:'disbursed_on', label:'Disbursed On', type:'date'},
+      {name:'tenure_months', label:'Tenure (months)', type:'number'},
+      {name:'due_date', label:'Due Date', type:'date'}
+    ],
+    actions:[
+      {icon:'bi-calendar3', title:'Repayment schedule', handler: item => showLoanSchedule(item.loan_id)}
     ]
   },
   payments: {
     title:'Loan Payments', sub:'Record repayments',
     headers:['Pay ID','Loan','Date','Amount','Mode','Actions'],
+    sorts:['pay_id','loan_id','payment_date','amount_paid','payment_mode'],
+    filters:[
+      {name:'from', label:'From', type:'date'},
+      {name:'to', label:'To', type:'date'}
+    ],
     fields:[
-      {name:'pay_id', label:'Payment ID', type:'text', required:true},
-      {name:'loan_id', label:'Loan ID', type:'text'},
+      {name:'pay_id', label:'Payment ID', type:'text', auto:true},
+      {name:'loan_id', label:'Loan ID', type:'text', required:true},
       {name:'payment_date', label:'Date', type:'date'},
-      {name:'amount_paid', label:'Amount Paid', type:'number'},
+      {name:'amount_paid', label:'Amount Paid', type:'number', step:'0.01', required:true},
       {name:'payment_mode', label:'Payment Mode', type:'text'}
     ]
+  },
+  'tax-rates': {
+    title:'Tax Rates', sub:'GST rate per product category',
+    transfer:false,
+    headers:['Category','GST %','Products','Actions'],
+    sorts:['category','rate'],
+    fields:[
+      {name:'category', label:'Category', type:'text', required:true},
+      {name:'rate', label:'GST Rate (%)', type:'number', step:'0.01', required:true}
+    ]
+  },
+  users: {
+    title:'Users', sub:'Staff accounts and roles',
+    transfer:false,
+    headers:['Username','Role','Active','Created','Actions'],
+    sorts:['username','role','active','created_at'],
+    fields:[
+      {name:'username', label:'Username', type:'text', required:true},
+      {name:'password', label:'Password (blank keeps the current one)', type:'password'},
+      {name:'role', label:'Role', type:'select', options:['cashier','inventory_clerk','accountant','admin']},
+      {name:'active', label:'Active', type:'select', options:['1','0']}
+    ]
   }
 };
 
+// Page, sort, search and filters per CRUD table, kept while switching views
+const listState = {};
+
 function renderCrudView(key){
   const container = document.getElementById(key);
   container.innerHTML = '';
@@ -306,65 +551,119 @@ function renderCrudView(key){
   const body = temp.querySelector('[data-body]');
   const searchInput = temp.querySelector('[data-search]');
   const addBtn = temp.querySelector('[data-add]');
+  const filtersWrap = temp.querySelector('[data-filters]');
+  const range = temp.querySelector('[data-range]');
+  const prevBtn = temp.querySelector('[data-prev]');
+  const nextBtn = temp.querySelector('[data-next]');
+  const exportBtn = temp.querySelector('[data-export]');
+  const importBtn = temp.querySelector('[data-import]');
+  const importFile = temp.querySelector('[data-import-file]');
+  const state = listState[key] ||= { page: 1, limit: 25, sort: '', order: 'asc', q: '', filters: {} };
 
   title.textContent = defs[key].title;
   sub.textContent = defs[key].sub;
 
-  // headers
-  defs[key].headers.forEach(h => {
+  // headers; sortable ones toggle the server-side order
+  const sortHeaders = [];
+  defs[key].headers.forEach((h, n) => {
     const th = document.createElement('th');
     th.textContent = h;
+    const column = defs[key].sorts?.[n];
+    if (column) {
+      th.role = 'button';
+      th.addEventListener('click', () => {
+        state.order = state.sort === column && state.order === 'asc' ? 'desc' : 'asc';
+        state.sort = column;
+        state.page = 1;
+        loadRows();
+      });
+      sortHeaders.push({ th, h, column });
+    }
     headersRow.appendChild(th);
   });
+  const markSort = () => sortHeaders.forEach(({ th, h, column }) => {
+    th.textContent = h + (state.sort === column ? (state.order === 'asc' ? ' ▲' : ' ▼') : '');
+  });
+
+  // filters sent as query parameters
+  (defs[key].filters || []).forEach(f => {
+    const control = document.createElement(f.type === 'select' ? 'select' : 'input');
+    control.className = f.type === 'select' ? 'form-select form-select-sm w-auto' : 'form-control form-control-sm w-auto';
+    control.title = f.label;
+    if (f.type === 'select') {
+      control.innerHTML = `<option value="">${f.label}: all</option>` + f.options.map(o => `<option value="${o}">${o}</option>`).join('');
+    } else {
+      control.type = f.type;
+      control.placeholder = f.label;
+    }
+    control.value = state.filters[f.name] || '';
+    control.addEventListener('change', () => {
+      state.filters[f.name] = control.value;
+      state.page = 1;
+      loadRows();
+    });
+    filtersWrap.appendChild(control);
+  });
 
   // populate rows
-  function refreshRows(filter=''){
+  function refreshRows(list){
+    state.rows = list;
     body.innerHTML = '';
-    const list = (data[key] || []);
     list.forEach((item, idx) => {
       const tr = document.createElement('tr');
 
       // columns mapping (simplified)
       if (key === 'customers') {
-        tr.innerHTML = `<td>${item.cust_id}</td><td>${item.cust_name}</td><td>${item.email||''}</td><td>${item.phone_no||''}</td><td>${item.address?.city_name||''}</td>`;
+        tr.innerHTML = `<td>${item.cust_id}</td><td>${item.cust_name}</td><td>${item.email||''}</td><td>${item.phone_no||''}</td><td>${item.city_name||''}</td>`;
       } else if (key === 'suppliers') {
         tr.innerHTML = `<td>${item.supplier_id}</td><td>${item.supplier_name}</td><td>${item.enterprise_name||''}</td><td>${item.email_id||''}</td><td>${item.phone_no||''}</td>`;
       } else if (key === 'products') {
         tr.innerHTML = `<td>${item.product_id}</td><td>${item.product_name}</td><td>${item.category||''}</td><td>${item.price||''}</td><td>${item.quantity_stock||0}</td><td>${item.supplier_id||''}</td>`;
       } else if (key === 'stock') {
-        tr.innerHTML = `<td>${item.stock_id}</td><td>${item.product_id}</td><td>${item.supplier_id||''}</td><td>${item.quantity}</td><td>${item.date_added||''}</td>`;
+        tr.innerHTML = `<td>${item.stock_id}</td><td>${item.product_id}</td><td>${item.supplier_id||''}</td><td>${item.quantity}</td><td>${item.unit_cost ?? ''}</td><td>${item.date_added||''}</td>`;
       } else if (key === 'sales') {
         tr.innerHTML = `<td>${item.sales_id}</td><td>${item.product_id}</td><td>${item.invoice_id||''}</td><td>${item.quantity_sold}</td><td>${item.price_total||''}</td>`;
       } else if (key === 'invoices') {
-        tr.innerHTML = `<td>${item.invoice_id}</td><td>${item.cust_id||''}</td><td>${item.total_amt||''}</td><td>${item.date||''}</td><td>${item.payment_mode||''}</td>`;
+        tr.innerHTML = `<td>${item.invoice_id}</td><td>${item.cust_id||''}</td><td>${item.total_amt||''}${item.returned_amt ? ` <small class="text-danger">−${item.returned_amt}</small>` : ''}</td><td>${item.date||''}</td><td>${item.payment_mode||''}</td><td>${item.credit_amount ? `${item.credit_amount} (${item.loan_id})` : ''}</td>`;
       } else if (key === 'loans') {
-        tr.innerHTML = `<td>${item.loan_id}</td><td>${item.cust_id||''}</td><td>${item.loan_amount||''}</td><td>${item.interest_rate||''}</td><td>${item.balance||''}</td>`;
+        tr.innerHTML = `<td>${item.loan_id}</td><td>${item.cust_id||''}</td><td>${item.loan_amount||''}</td><td>${item.interest_rate||''}</td><td>${item.balance ?? ''}</td><td>${item.due_date||''}</td><td>${item.status||''}</td>`;
       } else if (key === 'payments') {
         tr.innerHTML = `<td>${item.pay_id}</td><td>${item.loan_id||''}</td><td>${item.payment_date||''}</td><td>${item.amount_paid||''}</td><td>${item.payment_mode||''}</td>`;
+      } else if (key === 'tax-rates') {
+        tr.innerHTML = `<td>${item.category}</td><td>${item.rate}</td><td>${item.products ?? ''}</td>`;
+      } else if (key === 'users') {
+        tr.innerHTML = `<td>${item.username}</td><td>${item.role}</td><td>${item.active ? 'Yes' : 'No'}</td><td>${item.created_at ? new Date(item.created_at).toLocaleDateString() : ''}</td>`;
       }
 
       // actions
       const actionsTd = document.createElement('td');
-      actionsTd.innerHTML = `
+      actionsTd.innerHTML = canWrite(key) ? `
         <button class="btn btn-sm btn-outline-primary me-1" data-edit> <i class="bi bi-pencil"></i></button>
-        <button class="btn btn-sm btn-outline-danger" data-delete> <i class="bi bi-trash"></i></button>`;
+        <button class="btn btn-sm btn-outline-danger" data-delete> <i class="bi bi-trash"></i></button>` : '';
+      (defs[key].actions || []).forEach(action => {
+        const btn = document.createElement('button');
+        btn.className = 'btn btn-sm btn-outline-secondary ms-1';
+        btn.title = action.title;
+        btn.innerHTML = `<i class="bi ${action.icon}"></i>`;
+        btn.addEventListener('click', () => action.handler(item));
+        actionsTd.appendChild(btn);
+      });
       tr.appendChild(actionsTd);
 
-      // filter check
-      const text = tr.textContent.toLowerCase();
-      if (!filter || text.includes(filter.toLowerCase())) body.appendChild(tr);
+      body.appendChild(tr);
 
       // attach edit/delete handlers
-      actionsTd.querySelector('[data-edit]').addEventListener('click', ()=> openModalForKey(key, item, idx));
-        actionsTd.querySelector('[data-delete]').addEventListener('click', ()=> {
-  if (confirm('Delete this record?')) {
+      actionsTd.querySelector('[data-edit]')?.addEventListener('click', ()=> openModalForKey(key, item, idx));
+        actionsTd.querySelector('[data-delete]')?.addEventListener('click', ()=> {
+  if (confirm('Move this record to the trash?')) {
     const idField = defs[key].fields[0].name;
     const id = item[idField];
-    fetch(`http://localhost:4000/api/${key}/${id}`, { method: 'DELETE' })
-      .then(r => r.json())
-      .then(resp => {
+    api(`http://localhost:4000/api/${key}/${id}`, { method: 'DELETE' })
+      .then(r => r.json().then(resp => ({ ok: r.ok, resp })))
+      .then(({ ok, resp }) => {
+        if (!ok) return showToast(resp.error || resp.message || 'Delete failed', 'danger');
         showToast(resp.message || 'Deleted', 'warning');
-        fetchAllData();
+        applyChange(key, id, null);
       })
       .catch(err => {
         console.error(err);
@@ -376,10 +675,71 @@ function renderCrudView(key){
     });
   }
 
-  searchInput.addEventListener('input', ()=> refreshRows(searchInput.value));
-  refreshRows();
+  async function loadRows(){
+    const params = new URLSearchParams({ page: state.page, limit: state.limit });
+    if (state.sort) { params.set('sort', state.sort); params.set('order', state.order); }
+    if (state.q) params.set('q', state.q);
+    Object.entries(state.filters).forEach(([name, value]) => { if (value) params.set(name, value); });
+    try {
+      const res = await api(`http://localhost:4000/api/${key}?${params}`);
+      const resp = await res.json();
+      if (!res.ok) return showToast(resp.error || resp.message || 'Failed to load records', 'danger');
+      refreshRows(resp.data);
+      markSort();
+      const first = resp.total ? (resp.page - 1) * resp.limit + 1 : 0;
+      range.textContent = `${first}–${Math.min(resp.page * resp.limit, resp.total)} of ${resp.total}`;
+      prevBtn.disabled = resp.page <= 1;
+      nextBtn.disabled = resp.page * resp.limit >= resp.total;
+    } catch (err) {
+      console.error(err);
+      showToast('Failed to load records', 'danger');
+    }
+  }
+
+  // search on the server once typing pauses
+  let searchTimer;
+  searchInput.value = state.q;
+  searchInput.addEventListener('input', () => {
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(() => {
+      state.q = searchInput.value.trim();
+      state.page = 1;
+      loadRows();
+    }, 300);
+  });
+  // a record on this page is redrawn in place; anything else reloads the page
+  let reloadTimer;
+  state.patch = (id, row) => {
+    const idField = defs[key].fields[0].name;
+    const idx = (state.rows || []).findIndex(r => String(r[idField]) === String(id));
+    if (row && idx >= 0) {
+      state.rows[idx] = row;
+      return refreshRows(state.rows);
+    }
+    clearTimeout(reloadTimer);
+    reloadTimer = setTimeout(loadRows, 50);
+  };
+  prevBtn.addEventListener('click', () => { state.page--; loadRows(); });
+  nextBtn.addEventListener('click', () => { state.page++; loadRows(); });
+  loadRows();
 
   addBtn.addEventListener('click', ()=> openModalForKey(key));
+  if (!canWrite(key) || defs[key].add === false) addBtn.style.display = 'none';
+  exportBtn.addEventListener('click', () => exportRecords(key));
+  importBtn.addEventListener('click', () => importFile.click());
+  importFile.addEventListener('change', () => {
+    if (importFile.files[0]) runImport(key, importFile.files[0], true);
+    importFile.value = '';
+  });
+  if (defs[key].transfer === false) exportBtn.style.display = 'none';
+  if (defs[key].transfer === false || !canWrite(key)) importBtn.style.display = 'none';
+  (canWrite(key) ? defs[key].tools || [] : []).forEach(tool => {
+    const btn = document.createElement('button');
+    btn.className = `btn btn-sm ${tool.className || 'btn-outline-secondary'}`;
+    btn.textContent = tool.label;
+    btn.addEventListener('click', tool.handler);
+    addBtn.before(btn);
+  });
 
   container.appendChild(temp);
 }
@@ -401,29 +761,81 @@ function openModalForKey(key, item=null, idx=null){
 
   title.textContent = (item ? `Edit ${def.title.slice(0,-1)}` : `Add ${def.title.slice(0,-1)}`);
 
-  def.fields.forEach(f => {
+  // credit terms are left off the form for roles that may not set them, and
+  // ids and totals the server works out are only shown, read-only, on existing records
+  def.fields.filter(f => (!f.finance || isFinance()) && (!f.auto || item)).forEach(f => {
     const col = document.createElement('div');
     col.className = 'col-md-6';
     let value = '';
-    // nested for customers address fields
-    if (item) {
-      if (key==='customers' && ['house_no','street_name','city_name'].includes(f.name)) {
-        value = item.address?.[f.name] || '';
-      } else {
-        value = item[f.name] ?? '';
-      }
-    }
+    if (item) value = item[f.name] ?? '';
+    const control = f.type === 'select'
+      ? `<select name="${f.name}" class="form-select form-select-sm" ${f.required ? 'required' : ''}>
+          ${f.options.map(o => `<option value="${o}" ${o === String(value) ? 'selected' : ''}>${o}</option>`).join('')}
+        </select>`
+      : `<input name="${f.name}" class="form-control form-control-sm" type="${f.type}" ${f.step ? `step="${f.step}"` : ''} ${f.required ? 'required' : ''} ${f.auto ? 'readonly' : ''} placeholder="${f.label}" value="${value}">`;
     col.innerHTML = `
       <label class="form-label small mb-1">${f.label}${f.required ? ' *' : ''}</label>
-      <input name="${f.name}" class="form-control form-control-sm" type="${f.type}" ${f.step ? `step="${f.step}"` : ''} ${f.required ? 'required' : ''} placeholder="${f.label}" value="${value}">
+      ${control}
       <div class="invalid-feedback">Please provide ${f.label.toLowerCase()}.</div>
     `;
     fieldsWrap.appendChild(col);
   });
 
+  $('#modalExtra').innerHTML = '';
+  if (key === 'customers' && item) showCustomerCredit(item.cust_id);
+  $('#modalHistory').innerHTML = '';
+  if (item && canRead('audit')) showHistory(key, item[def.fields[0].name]);
+
   entityModal.show();
 }
 
+// Who changed this record and how, newest first, under the edit form
+async function showHistory(key, id) {
+  try {
+    const res = await api(`http://localhost:4000/api/audit?entity=${key}&id=${encodeURIComponent(id)}`);
+    const entries = await res.json();
+    if (!res.ok) return;
+    const show = v => v === null || v === undefined || v === '' ? '—' : v;
+    $('#modalHistory').innerHTML = `
+      <details>
+        <summary class="small muted">History (${entries.length} change${entries.length === 1 ? '' : 's'})</summary>
+        ${entries.map(e => `
+          <div class="small border-top pt-2 mt-2">
+            <strong>${e.action}</strong> by ${e.username || 'unknown'} · ${new Date(e.created_at).toLocaleString()}
+            ${Object.entries(e.changes).map(([column, c]) =>
+              `<div class="muted">${column}: ${c.changed ? 'changed' : `${show(c.before)} → ${show(c.after)}`}</div>`).join('')}
+          </div>`).join('') || '<div class="small muted mt-2">No recorded changes</div>'}
+      </details>`;
+  } catch (err) {
+    console.error(err);
+  }
+}
+
+// Credit standing shown under the customer form
+async function showCustomerCredit(custId) {
+  try {
+    const res = await api(`http://localhost:4000/api/customers/${custId}/credit`);
+    const c = await res.json();
+    if (!res.ok) return;
+    const fmt = v => v == null ? 'No limit' : v;
+    $('#modalExtra').innerHTML = `
+      <div class="card-soft p-3 mt-3">
+        <div class="d-flex justify-content-between mb-2">
+          <strong>Credit</strong>
+          <span class="badge ${c.risk_status === 'blocked' ? 'text-bg-danger' : 'text-bg-success'}">${c.risk_status}</span>
+        </div>
+        <div class="row g-3">
+          <div class="col-sm-3"><small class="muted">Limit</small><div class="h6">${fmt(c.credit_limit)}</div></div>
+          <div class="col-sm-3"><small class="muted">Used</small><div class="h6">${c.used}</div></div>
+          <div class="col-sm-3"><small class="muted">Available</small><div class="h6">${fmt(c.available)}</div></div>
+          <div class="col-sm-3"><small class="muted">Overdue</small><div class="h6 ${c.overdue ? 'text-danger' : ''}">${c.overdue}</div></div>
+        </div>
+      </div>`;
+  } catch (err) {
+    console.error(err);
+  }
+}
+
     $('#entityForm').addEventListener('submit', function(e){
   e.preventDefault();
   const form = e.currentTarget;
@@ -451,15 +863,20 @@ function openModalForKey(key, item=null, idx=null){
   const idField = defs[key].fields[0].name;
   const url = (method === 'PUT') ? `${baseUrl}/${payload[idField]}` : baseUrl;
 
-  fetch(url, {
+  api(url, {
     method,
     headers: { 'Content-Type': 'application/json' },
     body: JSON.stringify(payload)
   })
-  .then(res => res.json())
-  .then(resp => {
+  .then(res => res.json().then(resp => ({ ok: res.ok, resp })))
+  .then(({ ok, resp }) => {
+    if (!ok) {
+      const msg = resp.error || (resp.errors || []).map(e => `${e.param}: ${e.msg}`).join(', ') || resp.message;
+      showToast(msg || 'Failed to save record', 'danger');
+      return;
+    }
     showToast(resp.message || 'Saved successfully', 'success');
-    fetchAllData();
+    applyChange(key, resp.id ?? payload[idField], resp.data);
     entityModal.hide();
   })
   .catch(err => {
@@ -469,6 +886,686 @@ function openModalForKey(key, item=null, idx=null){
 
   form.classList.remove('was-validated');
 });
+/* -----------------------------
+  Loan repayment schedule
+  ----------------------------- */
+const scheduleModal = new bootstrap.Modal(document.getElementById('scheduleModal'));
+
+async function showLoanSchedule(loanId) {
+  try {
+    const res = await api(`http://localhost:4000/api/loans/${loanId}/schedule`);
+    const s = await res.json();
+    if (!res.ok) return showToast(s.error || s.message || 'Could not load schedule', 'danger');
+
+    $('#scheduleModalTitle').textContent = `Loan ${s.loan_id} — ${s.interest_type} interest @ ${s.interest_rate}%`;
+    $('#scheduleSummary').innerHTML = `
+      <div class="col-sm-3"><small class="muted">Principal outstanding</small><div class="h6">${s.position.principal_outstanding}</div></div>
+      <div class="col-sm-3"><small class="muted">Accrued interest</small><div class="h6">${s.position.accrued_interest}</div></div>
+      <div class="col-sm-3"><small class="muted">Amount due today</small><div class="h6">${s.position.amount_due}</div></div>
+      <div class="col-sm-3"><small class="muted">EMI × ${s.tenure_months}</small><div class="h6">${s.emi}</div></div>`;
+    $('#scheduleRows').innerHTML = s.installments.map(r =>
+      `<tr><td>${r.installment}</td><td>${r.due_date}</td><td>${r.emi}</td><td>${r.principal}</td><td>${r.interest}</td><td>${r.balance}</td></tr>`
+    ).join('');
+    scheduleModal.show();
+  } catch (err) {
+    console.error(err);
+    showToast('Could not load schedule', 'danger');
+  }
+}
+
+/* -----------------------------
+  Product stock movements
+  ----------------------------- */
+const movementsModal = new bootstrap.Modal(document.getElementById('movementsModal'));
+let movementsProduct = null;
+
+async function showMovements(productId) {
+  movementsProduct = productId;
+  try {
+    const res = await api(`http://localhost:4000/api/products/${productId}/movements`);
+    const m = await res.json();
+    if (!res.ok) return showToast(m.error || m.message || 'Could not load movements', 'danger');
+    $('#movementsTitle').textContent = `Stock Movements — ${m.product_name} (${m.product_id})`;
+    $('#movementsSummary').innerHTML = `
+      On hand: <strong>${m.quantity_stock}</strong> · Ledger: <strong>${m.ledger_quantity}</strong>
+      ${m.difference ? `<span class="badge text-bg-danger ms-2">Differs by ${m.difference}</span>` : '<span class="badge text-bg-success ms-2">Reconciled</span>'}`;
+    $('#movementRows').innerHTML = m.movements.slice().reverse().map(mv => `
+      <tr><td class="small">${new Date(mv.created_at).toLocaleString()}</td><td>${mv.kind}</td><td>${mv.reason || ''}</td>
+      <td>${mv.ref || ''}</td><td class="text-end ${mv.quantity < 0 ? 'text-danger' : 'text-success'}">${mv.quantity > 0 ? '+' : ''}${mv.quantity}</td>
+      <td class="text-end">${mv.balance}</td></tr>`).join('');
+    const form = $('#adjustmentForm');
+    form.reset();
+    form.classList.remove('was-validated');
+    form.counted.value = m.quantity_stock;
+    movementsModal.show();
+  } catch (err) {
+    console.error(err);
+    showToast('Could not load movements', 'danger');
+  }
+}
+
+$('#adjustmentForm').addEventListener('submit', async e => {
+  e.preventDefault();
+  const form = e.currentTarget;
+  if (!form.checkValidity()) {
+    form.classList.add('was-validated');
+    return;
+  }
+  const res = await api(`http://localhost:4000/api/products/${movementsProduct}/adjustments`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ counted: Number(form.counted.value), reason: form.reason.value })
+  });
+  const resp = await res.json();
+  if (!res.ok) return showToast(resp.error || (resp.errors || []).map(e => e.msg).join(', ') || 'Adjustment failed', 'danger');
+  showToast(`Stock adjusted by ${resp.quantity}`, 'success');
+  await syncChanges();
+  document.querySelector('[data-target="products"]').click();
+  showMovements(movementsProduct);
+});
+
+/* -----------------------------
+  Sales returns (credit notes)
+  ----------------------------- */
+const returnModal = new bootstrap.Modal(document.getElementById('returnModal'));
+let returnInvoice = null;
+
+async function openReturn(invoiceId) {
+  returnInvoice = invoiceId;
+  try {
+    const res = await api(`http://localhost:4000/api/invoices/${invoiceId}/returns`);
+    const r = await res.json();
+    if (!res.ok) return showToast(r.error || r.message || 'Could not load invoice', 'danger');
+    $('#returnTitle').textContent = `Return Goods — Invoice ${invoiceId}`;
+    $('#returnLines').innerHTML = r.lines.map(l => `
+      <tr><td>${l.sales_id}</td><td>${l.product_name || l.product_id}</td><td class="text-end">${l.quantity_sold}</td>
+      <td class="text-end">${l.returned}</td><td class="text-end">${l.unit_price}</td>
+      <td><input type="number" class="form-control form-control-sm" min="0" max="${l.returnable}" value="0"
+        data-sales-id="${l.sales_id}" ${l.returnable ? '' : 'disabled'}></td></tr>`).join('');
+    $('#returnHistory').innerHTML = r.returns.length
+      ? r.returns.map(n => `<div>${n.return_id} · ${n.date} · ${n.amount} (refunded ${n.refunded}, credited ${n.credited_to_loan})</div>`).join('')
+      : 'No credit notes yet';
+    const form = $('#returnForm');
+    form.reset();
+    form.refund_mode.value = r.invoice.loan_id ? 'credit' : 'refund';
+    returnModal.show();
+  } catch (err) {
+    console.error(err);
+    showToast('Could not load invoice', 'danger');
+  }
+}
+
+$('#returnForm').addEventListener('submit', async e => {
+  e.preventDefault();
+  const form = e.currentTarget;
+  const lines = [...form.querySelectorAll('[data-sales-id]')]
+    .map(input => ({ sales_id: input.dataset.salesId, quantity: Number(input.value) }))
+    .filter(l => l.quantity > 0);
+  if (!lines.length) return showToast('Enter a quantity to return', 'warning');
+  const res = await api(`http://localhost:4000/api/invoices/${returnInvoice}/returns`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ lines, reason: form.reason.value, refund_mode: form.refund_mode.value })
+  });
+  const resp = await res.json();
+  if (!res.ok) return showToast(resp.error || (resp.errors || []).map(e => e.msg).join(', ') || 'Return failed', 'danger');
+  returnModal.hide();
+  showToast(`Credit note ${resp.id}: ${resp.amount} (refund ${resp.refunded}, off credit ${resp.credited_to_loan})`, 'success');
+  await syncChanges();
+  document.querySelector('[data-target="invoices"]').click();
+});
+
+/* -----------------------------
+  Purchase orders & goods receipt
+  ----------------------------- */
+const purchaseOrderModal = new bootstrap.Modal(document.getElementById('purchaseOrderModal'));
+let receivingOrder = null;   // set while the modal is used for a goods receipt
+
+async function renderPurchaseOrders() {
+  try {
+    // newest first; older orders stay reachable through the API's paging
+    const res = await api('http://localhost:4000/api/purchase-orders?limit=100');
+    const resp = await res.json();
+    if (!res.ok) return showToast(resp.error || 'Could not load purchase orders', 'danger');
+    const orders = resp.data;
+    const badge = { open:'text-bg-primary', partial:'text-bg-warning', received:'text-bg-success', cancelled:'text-bg-secondary' };
+    $('#purchaseOrderRows').innerHTML = orders.map(o => `
+      <tr>
+        <td>${o.po_id}</td><td>${o.supplier_name || o.supplier_id}</td><td>${o.order_date || ''}</td>
+        <td class="text-end">${o.line_count}</td><td class="text-end">${o.quantity_received} / ${o.quantity_ordered}</td>
+        <td class="text-end">${Number(o.total_cost).toFixed(2)}</td>
+        <td><span class="badge ${badge[o.status] || ''}">${o.status}</span></td>
+        <td>
+          ${['open','partial'].includes(o.status) ? `<button class="btn btn-sm btn-outline-success me-1" data-receive="${o.po_id}" title="Receive goods"><i class="bi bi-box-arrow-in-down"></i></button>` : ''}
+          ${o.status === 'open' ? `<button class="btn btn-sm btn-outline-danger" data-cancel="${o.po_id}" title="Cancel order"><i class="bi bi-x-circle"></i></button>` : ''}
+        </td>
+      </tr>`).join('') || '<tr><td colspan="8" class="text-center muted">No purchase orders yet</td></tr>';
+    $all('[data-receive]').forEach(btn => btn.addEventListener('click', () => openGoodsReceipt(btn.dataset.receive)));
+    $all('[data-cancel]').forEach(btn => btn.addEventListener('click', () => cancelPurchaseOrder(btn.dataset.cancel)));
+  } catch (err) {
+    console.error(err);
+    showToast('Could not load purchase orders', 'danger');
+  }
+}
+
+function addPurchaseOrderLine(line = {}) {
+  const row = document.createElement('div');
+  row.className = 'row g-2 mb-2 align-items-center';
+  row.dataset.line = '';
+  row.innerHTML = `
+    <div class="col-6">
+      <select class="form-select form-select-sm" data-product required>
+        <option value="">Select product…</option>
+        ${data.products.map(p => `<option value="${p.product_id}" ${p.product_id === line.product_id ? 'selected' : ''}>${p.product_name} (${p.product_id})</option>`).join('')}
+      </select>
+    </div>
+    <div class="col-2"><input class="form-control form-control-sm" type="number" min="1" value="${line.quantity || 1}" data-qty required title="Quantity"></div>
+    <div class="col-3"><input class="form-control form-control-sm" type="number" min="0" step="0.01" value="${line.unit_cost ?? ''}" data-cost required placeholder="Unit cost"></div>
+    <div class="col-1 text-end"><button type="button" class="btn btn-sm btn-outline-danger" data-remove><i class="bi bi-x"></i></button></div>`;
+  row.querySelector('[data-remove]').addEventListener('click', () => row.remove());
+  $('#purchaseOrderLines').appendChild(row);
+}
+
+function openPurchaseOrder(lines = [], supplierId = '') {
+  receivingOrder = null;
+  const form = $('#purchaseOrderForm');
+  form.reset();
+  form.classList.remove('was-validated');
+  $('#purchaseOrderTitle').textContent = 'New Purchase Order';
+  $('#purchaseOrderSubmit').textContent = 'Save Order';
+  $('#purchaseOrderAddLine').style.display = '';
+  form.supplier_id.disabled = false;
+  form.supplier_id.innerHTML = data.suppliers.map(s => `<option value="${s.supplier_id}">${s.supplier_name} (${s.supplier_id})</option>`).join('');
+  if (supplierId) form.supplier_id.value = supplierId;
+  form.date.value = new Date().toISOString().slice(0, 10);
+  $('#purchaseOrderLines').innerHTML = '';
+  (lines.length ? lines : [{}]).forEach(addPurchaseOrderLine);
+  purchaseOrderModal.show();
+}
+
+async function openGoodsReceipt(poId) {
+  const res = await api(`http://localhost:4000/api/purchase-orders/${poId}`);
+  const order = await res.json();
+  if (!res.ok) return showToast(order.error || 'Could not load order', 'danger');
+  receivingOrder = order;
+  const form = $('#purchaseOrderForm');
+  form.reset();
+  form.classList.remove('was-validated');
+  $('#purchaseOrderTitle').textContent = `Receive Goods — ${order.po_id}`;
+  $('#purchaseOrderSubmit').textContent = 'Post Receipt';
+  $('#purchaseOrderAddLine').style.display = 'none';
+  form.po_id.value = order.po_id;
+  form.supplier_id.innerHTML = `<option value="${order.supplier_id}">${order.supplier_name || order.supplier_id}</option>`;
+  form.supplier_id.disabled = true;
+  form.date.value = new Date().toISOString().slice(0, 10);
+  $('#purchaseOrderLines').innerHTML = order.lines.map(l => {
+    const outstanding = l.quantity_ordered - l.quantity_received;
+    return `<div class="row g-2 mb-2 align-items-center" data-line>
+      <div class="col-6">${l.product_name || l.product_id} <small class="muted">(${l.quantity_received}/${l.quantity_ordered} received)</small></div>
+      <div class="col-3"><input class="form-control form-control-sm" type="number" min="0" max="${outstanding}" value="${outstanding}" data-product-id="${l.product_id}" data-qty ${outstanding ? '' : 'disabled'}></div>
+      <div class="col-3 small muted">@ ${l.unit_cost}</div>
+    </div>`;
+  }).join('');
+  purchaseOrderModal.show();
+}
+
+async function cancelPurchaseOrder(poId) {
+  if (!confirm(`Cancel purchase order ${poId}?`)) return;
+  const res = await api(`http://localhost:4000/api/purchase-orders/${poId}/cancel`, { method: 'POST' });
+  const resp = await res.json();
+  showToast(resp.error || resp.message, res.ok ? 'warning' : 'danger');
+  renderPurchaseOrders();
+}
+
+$('#newPurchaseOrder').addEventListener('click', () => openPurchaseOrder());
+$('#purchaseOrderAddLine').addEventListener('click', () => addPurchaseOrderLine());
+
+$('#purchaseOrderForm').addEventListener('submit', async e => {
+  e.preventDefault();
+  const form = e.currentTarget;
+  if (!form.checkValidity()) {
+    form.classList.add('was-validated');
+    return;
+  }
+  let url, payload;
+  if (receivingOrder) {
+    url = `http://localhost:4000/api/purchase-orders/${receivingOrder.po_id}/receipts`;
+    payload = {
+      date: form.date.value,
+      lines: $all('[data-product-id]', form).map(i => ({ product_id: i.dataset.productId, quantity: Number(i.value) || 0 }))
+    };
+  } else {
+    url = 'http://localhost:4000/api/purchase-orders';
+    payload = {
+      supplier_id: form.supplier_id.value,
+      order_date: form.date.value,
+      lines: $all('#purchaseOrderLines [data-line]').map(row => ({
+        product_id: row.querySelector('[data-product]').value,
+        quantity: Number(row.querySelector('[data-qty]').value),
+        unit_cost: Number(row.querySelector('[data-cost]').value)
+      }))
+    };
+  }
+  try {
+    const res = await api(url, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(payload) });
+    const resp = await res.json();
+    if (!res.ok) return showToast(resp.error || 'Could not save purchase order', 'danger');
+    showToast(resp.message, 'success');
+    purchaseOrderModal.hide();
+    await syncChanges();
+    document.querySelector('[data-target="purchaseOrders"]').click();
+  } catch (err) {
+    console.error(err);
+    showToast('Could not save purchase order', 'danger');
+  }
+});
+
+/* -----------------------------
+  Collections (receivables aging)
+  ----------------------------- */
+async function renderCollections() {
+  const asOf = $('#agingAsOf').value;
+  try {
+    const res = await api(`http://localhost:4000/api/reports/aging${asOf ? `?as_of=${asOf}` : ''}`);
+    const aging = await res.json();
+    if (!res.ok) return showToast(aging.error || 'Could not load aging report', 'danger');
+
+    const t = aging.totals;
+    const card = (label, value, cls = '') =>
+      `<div class="col"><div class="p-3 card-soft"><small class="muted">${label}</small><div class="h5 mt-1 ${cls}">${value.toFixed(2)}</div></div></div>`;
+    $('#agingTotals').innerHTML = card('Current', t.current) + card('1–30 days', t.days_1_30) +
+      card('31–60 days', t.days_31_60) + card('61–90 days', t.days_61_90) +
+      card('90+ days', t.days_90_plus, 'text-danger') + card('Total overdue', t.overdue, 'text-danger');
+
+    const overdue = aging.customers.filter(c => c.overdue > 0);
+    $('#agingRows').innerHTML = overdue.length ? overdue.map(c => `
+      <tr>
+        <td><strong>${c.cust_name || c.cust_id}</strong><div class="small muted">${c.cust_id} · ${c.loans.join(', ')}</div></td>
+        <td class="small">
+          ${c.phone_no ? `<a href="tel:${c.phone_no}">${c.phone_no}</a>` : ''}
+          ${c.email ? `<div><a href="mailto:${c.email}">${c.email}</a></div>` : ''}
+          ${c.address ? `<div class="muted">${c.address}</div>` : ''}
+        </td>
+        <td class="text-end">${c.current.toFixed(2)}</td><td class="text-end">${c.days_1_30.toFixed(2)}</td>
+        <td class="text-end">${c.days_31_60.toFixed(2)}</td><td class="text-end">${c.days_61_90.toFixed(2)}</td>
+        <td class="text-end">${c.days_90_plus.toFixed(2)}</td><td class="text-end text-danger">${c.overdue.toFixed(2)}</td>
+        <td>${c.last_payment_date || '—'}</td>
+        <td><button class="btn btn-sm btn-outline-secondary" data-statement="${c.cust_id}" title="Account statement"><i class="bi bi-journal-text"></i></button></td>
+      </tr>`).join('') : '<tr><td colspan="10" class="text-center muted">No overdue customers</td></tr>';
+    $all('[data-statement]', $('#agingRows')).forEach(btn =>
+      btn.addEventListener('click', () => showStatement(btn.dataset.statement)));
+  } catch (err) {
+    console.error(err);
+    showToast('Could not load aging report', 'danger');
+  }
+}
+
+$('#agingRefresh').addEventListener('click', renderCollections);
+$('#agingAsOf').addEventListener('change', renderCollections);
+
+/* -----------------------------
+  GST summary (tax collected for a period)
+  ----------------------------- */
+async function renderGstSummary() {
+  const params = new URLSearchParams();
+  if ($('#gstFrom').value) params.set('from', $('#gstFrom').value);
+  if ($('#gstTo').value) params.set('to', $('#gstTo').value);
+  try {
+    const res = await api(`http://localhost:4000/api/reports/tax?${params}`);
+    const report = await res.json();
+    if (!res.ok) return showToast(report.error || 'Could not load GST summary', 'danger');
+
+    $('#gstFrom').value = report.from;
+    $('#gstTo').value = report.to;
+    const card = (label, value, cls = '') =>
+      `<div class="col"><div class="p-3 card-soft"><small class="muted">${label}</small><div class="h5 mt-1 ${cls}">${value.toFixed(2)}</div></div></div>`;
+    const n = report.net;
+    $('#gstTotals').innerHTML = card('Taxable value', n.taxable_value) + card('CGST', n.cgst) + card('SGST', n.sgst) +
+      card('IGST', n.igst) + card('Credit notes', -report.returns.tax, 'text-danger') + card('Net GST', n.tax);
+
+    const row = (label, t) => `
+      <tr>
+        <td>${label}</td><td class="text-end">${t.taxable_value.toFixed(2)}</td><td class="text-end">${t.cgst.toFixed(2)}</td>
+        <td class="text-end">${t.sgst.toFixed(2)}</td><td class="text-end">${t.igst.toFixed(2)}</td><td class="text-end">${t.tax.toFixed(2)}</td>
+      </tr>`;
+    const empty = '<tr><td colspan="6" class="text-center muted">No invoiced sales in this period</td></tr>';
+    $('#gstRateRows').innerHTML = report.by_rate.map(t => row(`${t.rate}%`, t)).join('') || empty;
+    $('#gstPlaceRows').innerHTML = report.by_place.map(t =>
+      row(`${t.place_of_supply}${t.inter_state ? ' <span class="badge text-bg-secondary">inter-state</span>' : ''}`, t)).join('') || empty;
+    $('#gstNote').textContent = [
+      report.store_state ? `Store state: ${report.store_state}.` : 'Store state not set; every sale is taxed as intra-state.',
+      report.unbilled_lines ? `${report.unbilled_lines} sales line(s) without an invoice are not included.` : ''
+    ].join(' ');
+  } catch (err) {
+    console.error(err);
+    showToast('Could not load GST summary', 'danger');
+  }
+}
+
+$('#gstRefresh').addEventListener('click', renderGstSummary);
+
+/* -----------------------------
+  Trash: restore or purge deleted records
+  ----------------------------- */
+async function renderTrash() {
+  try {
+    const res = await api('http://localhost:4000/api/trash');
+    const items = await res.json();
+    if (!res.ok) return showToast(items.error || 'Could not load trash', 'danger');
+    $('#trashRows').innerHTML = items.length ? items.map(t => `
+      <tr>
+        <td>${defs[t.entity]?.title || t.entity}</td><td>${t.id}</td><td>${t.title ?? ''}</td>
+        <td class="small">${new Date(t.deleted_at).toLocaleString()}</td>
+        <td class="text-end text-nowrap">
+          <button class="btn btn-sm btn-outline-success" data-restore title="Restore"><i class="bi bi-arrow-counterclockwise"></i></button>
+          <button class="btn btn-sm btn-outline-danger ms-1" data-purge title="Delete permanently"><i class="bi bi-x-octagon"></i></button>
+        </td>
+      </tr>`).join('') : '<tr><td colspan="5" class="text-center muted">Trash is empty</td></tr>';
+    $all('tr', $('#trashRows')).forEach((tr, i) => {
+      const t = items[i];
+      if (!t) return;
+      tr.querySelector('[data-restore]').addEventListener('click', () =>
+        trashAction(`http://localhost:4000/api/${t.entity}/${t.id}/restore`, 'POST'));
+      tr.querySelector('[data-purge]').addEventListener('click', () => {
+        if (confirm(`Permanently delete ${t.id}? This cannot be undone.`)) {
+          trashAction(`http://localhost:4000/api/trash/${t.entity}/${t.id}`, 'DELETE');
+        }
+      });
+    });
+  } catch (err) {
+    console.error(err);
+    showToast('Could not load trash', 'danger');
+  }
+}
+
+async function trashAction(url, method) {
+  const res = await api(url, { method });
+  const resp = await res.json();
+  if (!res.ok) return showToast(resp.error || resp.message || 'Action failed', 'danger');
+  showToast(resp.message, 'success');
+  await syncChanges();
+  document.querySelector('[data-target="trash"]').click();
+}
+
+$('#trashRefresh').addEventListener('click', renderTrash);
+
+/* -----------------------------
+  Invoice documents
+  ----------------------------- */
+// The document needs the sign-in header, so it is fetched and written into a
+// window opened up front (before any await, so popup blockers allow it)
+async function printInvoice(invoiceId) {
+  const win = window.open('', '_blank');
+  try {
+    const res = await api(`http://localhost:4000/api/invoices/${encodeURIComponent(invoiceId)}/document`);
+    if (!res.ok) {
+      win?.close();
+      return showToast('Could not load the invoice', 'danger');
+    }
+    const html = await res.text();
+    if (!win) return showToast('Allow pop-ups to print invoices', 'warning');
+    win.document.open();
+    win.document.write(html);
+    win.document.close();
+    win.focus();
+    win.print();
+  } catch (err) {
+    console.error(err);
+    win?.close();
+    showToast('Could not load the invoice', 'danger');
+  }
+}
+
+async function downloadInvoicePdf(invoiceId) {
+  try {
+    const res = await api(`http://localhost:4000/api/invoices/${encodeURIComponent(invoiceId)}/document?format=pdf&download=1`);
+    if (!res.ok) return showToast('Could not create the PDF', 'danger');
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(await res.blob());
+    link.download = `invoice-${invoiceId}.pdf`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+  } catch (err) {
+    console.error(err);
+    showToast('Could not create the PDF', 'danger');
+  }
+}
+
+/* -----------------------------
+  Import & export (CSV opens in Excel)
+  ----------------------------- */
+async function exportRecords(key) {
+  try {
+    const res = await api(`http://localhost:4000/api/${key}/export?format=csv`);
+    if (!res.ok) return showToast('Export failed', 'danger');
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(await res.blob());
+    link.download = `${key}-${new Date().toISOString().slice(0, 10)}.csv`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+  } catch (err) {
+    console.error(err);
+    showToast('Export failed', 'danger');
+  }
+}
+
+const importModal = new bootstrap.Modal(document.getElementById('importModal'));
+let pendingImport = null;
+
+// A dry run first; the report's confirm button then imports the valid rows
+async function runImport(key, file, dryRun) {
+  try {
+    const text = await file.text();
+    const isJson = file.name.toLowerCase().endsWith('.json');
+    let payload = text;
+    if (isJson) {
+      const parsed = JSON.parse(text);
+      payload = JSON.stringify(Array.isArray(parsed) ? { rows: parsed } : parsed);
+    }
+    const res = await api(`http://localhost:4000/api/${key}/import${dryRun ? '?dry_run=1' : ''}`, {
+      method: 'POST',
+      headers: { 'Content-Type': isJson ? 'application/json' : 'text/csv' },
+      body: payload
+    });
+    const report = await res.json();
+    if (!res.ok) return showToast(report.error || (report.errors || []).map(e => e.msg).join(', ') || 'Import failed', 'danger');
+    pendingImport = dryRun && report.valid ? { key, file } : null;
+    showImportReport(key, file.name, report);
+    if (!dryRun) {
+      showToast(`Imported ${file.name}: ${report.created} created, ${report.updated} updated`, report.failed || report.invalid ? 'warning' : 'success');
+      await syncChanges();
+    }
+  } catch (err) {
+    console.error(err);
+    showToast(err instanceof SyntaxError ? 'That JSON file could not be read' : 'Import failed', 'danger');
+  }
+}
+
+function showImportReport(key, fileName, report) {
+  const badge = { valid: 'text-bg-success', saved: 'text-bg-success', invalid: 'text-bg-danger', failed: 'text-bg-danger' };
+  $('#importTitle').textContent = `${report.dry_run ? 'Check' : 'Imported'} ${fileName} → ${defs[key].title}`;
+  $('#importSummary').innerHTML = report.dry_run
+    ? `<strong>${report.valid}</strong> of ${report.total} rows are ready to import
+       (${report.rows.filter(r => r.status === 'valid' && r.action === 'create').length} new,
+       ${report.rows.filter(r => r.status === 'valid' && r.action === 'update').length} updates);
+       <span class="${report.invalid ? 'text-danger' : ''}">${report.invalid} have problems and will be skipped</span>.`
+    : `${report.created} created, ${report.updated} updated,
+       <span class="${report.invalid + report.failed ? 'text-danger' : ''}">${report.invalid + report.failed} not imported</span>.`;
+  $('#importRows').innerHTML = report.rows.map(r => `
+    <tr>
+      <td>${r.row}</td><td>${r.id ?? ''}</td><td>${r.action}</td>
+      <td><span class="badge ${badge[r.status] || ''}">${r.status}</span></td>
+      <td class="small">${(r.errors || []).map(e => e.param ? `${e.param}: ${e.msg}` : e.msg).join('<br>')}</td>
+    </tr>`).join('');
+  $('#importConfirm').style.display = pendingImport ? '' : 'none';
+  $('#importConfirm').textContent = `Import ${report.valid} row${report.valid === 1 ? '' : 's'}`;
+  importModal.show();
+}
+
+$('#importConfirm').addEventListener('click', () => {
+  if (pendingImport) runImport(pendingImport.key, pendingImport.file, false);
+});
+
+/* -----------------------------
+  Customer account statement
+  ----------------------------- */
+let statementCustomer = null;
+
+function showView(id) {
+  $all('.view').forEach(v => v.style.display = (v.id === id ? '' : 'none'));
+}
+
+async function showStatement(custId) {
+  statementCustomer = custId;
+  const filter = $('#statementFilter');
+  const params = new URLSearchParams();
+  if (filter.from.value) params.set('from', filter.from.value);
+  if (filter.to.value) params.set('to', filter.to.value);
+  try {
+    const res = await api(`http://localhost:4000/api/customers/${custId}/statement?${params}`);
+    const st = await res.json();
+    if (!res.ok) return showToast(st.error || st.message || 'Could not load statement', 'danger');
+
+    const c = st.customer;
+    const address = [c.house_no, c.street_name, c.city_name].filter(Boolean).join(', ');
+    $('#statementBody').innerHTML = `
+      <div class="d-flex justify-content-between mb-3">
+        <div>
+          <h5 class="mb-1">${c.cust_name} <small class="muted">(${c.cust_id})</small></h5>
+          <div class="small">${address}</div>
+          <div class="small">${c.phone_no || ''} ${c.email ? '· ' + c.email : ''}</div>
+        </div>
+        <div class="text-end small">
+          <div>Period: ${st.from || 'Beginning'} to ${st.to}</div>
+          <div>Opening balance: <strong>${st.opening_balance.toFixed(2)}</strong></div>
+          <div>Closing balance: <strong>${st.closing_balance.toFixed(2)}</strong></div>
+        </div>
+      </div>
+      <table class="table table-sm align-middle mb-0">
+        <thead class="table-light">
+          <tr><th>Date</th><th>Description</th><th class="text-end">Debit</th><th class="text-end">Credit</th><th class="text-end">Balance</th></tr>
+        </thead>
+        <tbody>
+          <tr><td></td><td><em>Opening balance</em></td><td></td><td></td><td class="text-end">${st.opening_balance.toFixed(2)}</td></tr>
+          ${st.entries.map(e => `<tr>
+            <td>${e.date || ''}</td><td>${e.description}</td>
+            <td class="text-end">${e.debit ? e.debit.toFixed(2) : ''}</td>
+            <td class="text-end">${e.credit ? e.credit.toFixed(2) : ''}</td>
+            <td class="text-end">${e.balance.toFixed(2)}</td></tr>`).join('')}
+        </tbody>
+        <tfoot>
+          <tr><th></th><th>Totals</th><th class="text-end">${st.total_debit.toFixed(2)}</th><th class="text-end">${st.total_credit.toFixed(2)}</th><th class="text-end">${st.closing_balance.toFixed(2)}</th></tr>
+        </tfoot>
+      </table>`;
+    showView('statement');
+  } catch (err) {
+    console.error(err);
+    showToast('Could not load statement', 'danger');
+  }
+}
+
+$('#statementFilter').addEventListener('submit', e => { e.preventDefault(); if (statementCustomer) showStatement(statementCustomer); });
+$('#statementPrint').addEventListener('click', () => window.print());
+$('#statementBack').addEventListener('click', () => document.querySelector('[data-target="customers"]').click());
+
+/* -----------------------------
+  Checkout: one invoice, many lines
+  ----------------------------- */
+const checkoutModal = new bootstrap.Modal(document.getElementById('checkoutModal'));
+
+function addCheckoutLine() {
+  const row = document.createElement('div');
+  row.className = 'row g-2 mb-2 align-items-center';
+  row.dataset.line = '';
+  row.innerHTML = `
+    <div class="col-7">
+      <select class="form-select form-select-sm" data-product required>
+        <option value="">Select product…</option>
+        ${data.products.map(p => `<option value="${p.product_id}">${p.product_name} (${p.product_id}) — ${p.price} · ${p.quantity_stock} in stock</option>`).join('')}
+      </select>
+    </div>
+    <div class="col-3"><input class="form-control form-control-sm" type="number" min="1" value="1" data-qty required></div>
+    <div class="col-2 text-end"><button type="button" class="btn btn-sm btn-outline-danger" data-remove><i class="bi bi-x"></i></button></div>`;
+  row.querySelector('[data-remove]').addEventListener('click', () => { row.remove(); updateCheckoutTotal(); });
+  row.querySelectorAll('select, input').forEach(el => el.addEventListener('input', updateCheckoutTotal));
+  $('#checkoutLines').appendChild(row);
+}
+
+function checkoutItems() {
+  return $all('#checkoutLines [data-line]').map(row => ({
+    product_id: row.querySelector('[data-product]').value,
+    quantity: Number(row.querySelector('[data-qty]').value)
+  })).filter(i => i.product_id && i.quantity > 0);
+}
+
+// Preview only; the server prices the order again when it is saved
+function updateCheckoutTotal() {
+  const total = checkoutItems().reduce((sum, i) => {
+    const p = data.products.find(p => p.product_id === i.product_id);
+    return sum + (p ? p.price * i.quantity : 0);
+  }, 0);
+  $('#checkoutTotal').textContent = total.toFixed(2);
+}
+
+function toggleCheckoutCredit() {
+  $('#checkoutCredit').style.display = $('#checkoutForm').payment_mode.value === 'Credit' ? '' : 'none';
+}
+
+function openCheckout(paymentMode = 'Cash') {
+  const form = $('#checkoutForm');
+  form.reset();
+  form.classList.remove('was-validated');
+  form.cust_id.innerHTML = data.customers.map(c => `<option value="${c.cust_id}">${c.cust_name} (${c.cust_id})</option>`).join('');
+  form.date.value = new Date().toISOString().slice(0, 10);
+  form.payment_mode.value = paymentMode;
+  toggleCheckoutCredit();
+  $('#checkoutLines').innerHTML = '';
+  addCheckoutLine();
+  updateCheckoutTotal();
+  checkoutModal.show();
+}
+
+$('#checkoutAddLine').addEventListener('click', addCheckoutLine);
+$('#checkoutForm').payment_mode.addEventListener('change', toggleCheckoutCredit);
+
+$('#checkoutForm').addEventListener('submit', async e => {
+  e.preventDefault();
+  const form = e.currentTarget;
+  const items = checkoutItems();
+  if (!form.checkValidity() || !items.length) {
+    form.classList.add('was-validated');
+    return;
+  }
+  const payload = {
+    cust_id: form.cust_id.value,
+    date: form.date.value,
+    payment_mode: form.payment_mode.value,
+    items
+  };
+  if (payload.payment_mode === 'Credit') {
+    payload.amount_paid = form.amount_paid.value;
+    if (isFinance()) payload.credit_interest_rate = form.credit_interest_rate.value;
+    payload.credit_due_date = form.credit_due_date.value;
+  }
+  try {
+    const res = await api('http://localhost:4000/api/checkout', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload)
+    });
+    const resp = await res.json();
+    if (!res.ok) return showToast(resp.error || 'Checkout failed', 'danger');
+    showToast(resp.loan_id
+      ? `Invoice ${resp.id} saved — ${resp.credit_amount} on credit (loan ${resp.loan_id})`
+      : `Invoice ${resp.id} saved — total ${resp.total_amt} incl. ${resp.tax_amt} GST`, 'success');
+    checkoutModal.hide();
+    syncChanges();
+  } catch (err) {
+    console.error(err);
+    showToast('Checkout failed', 'danger');
+  }
+});
+
 /* -----------------------------
   Quick add buttons
   ----------------------------- */
@@ -478,7 +1575,20 @@ $('#addQuickProduct').addEventListener('click', ()=> { document.querySelector('[
 /* -----------------------------
   Init
   ----------------------------- */
-fetchAllData();
+if (session) {
+  // a stored token may have expired; api() brings back the login if so
+  api('http://localhost:4000/api/auth/me')
+    .then(res => res.ok ? res.json() : null)
+    .then(me => {
+      if (!me) return;
+      session = { ...session, ...me };
+      localStorage.setItem('session', JSON.stringify(session));
+      startSession();
+    })
+    .catch(() => showLogin());
+} else {
+  showLogin();
+}
 
 
 // refresh button
@@ -498,4 +1608,4 @@ $('#globalSearch').addEventListener('input', (e)=>{
   ----------------------------- */
 document.addEventListener('DOMContentLoaded', ()=> {
   document.querySelector('.nav-link.active').click();
-});
\ No newline at end of file
+});
\ No newline at end of file
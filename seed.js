@@ -0,0 +1,71 @@
+// seed.js — sample customers, products, a sale and a loan to try the app with:
+//   npm run seed
+// Only seeds a database without customers; brings the schema up to date first.
+const sqlite3 = require("sqlite3").verbose();
+const { dbFile, migrate, migrationHelpers } = require("./migrate");
+
+async function seed(db) {
+  await migrate(db);
+  const m = migrationHelpers(db);
+  const { c } = await m.get("SELECT COUNT(*) AS c FROM customers");
+  if (c > 0) {
+    console.log("Database already has customers; not seeding.");
+    return;
+  }
+
+  console.log("🌱 Seeding initial data...");
+  await m.run("BEGIN IMMEDIATE");
+  try {
+    await m.run(
+      `INSERT INTO customers (cust_id,cust_name,email,phone_no,house_no,street_name,city_name)
+       VALUES ('C001','Asha Kumar','asha@example.com','9876543210','12A','MG Road','Jaipur'),
+              ('C002','Ravi Singh','ravi@example.com','9123456780','5B','Station St','Delhi')`
+    );
+    await m.run(
+      `INSERT INTO suppliers (supplier_id,supplier_name,enterprise_name,email_id,phone_no,address)
+       VALUES ('S001','Radha Supplies','Radha Co','contact@radha.com','9000000001','12 Market Rd, Jaipur')`
+    );
+    await m.run(
+      `INSERT INTO products (product_id,product_name,category,price,quantity_stock,supplier_id)
+       VALUES ('P001','Widget A','Tools',250.0,20,'S001'),
+              ('P002','Gadget B','Gadgets',450.0,10,'S001')`
+    );
+    await m.run(
+      `INSERT INTO inventory_movements (product_id,quantity,kind,reason,created_at)
+       SELECT product_id, quantity_stock, 'opening', 'Sample data', ? FROM products`,
+      [new Date().toISOString()]
+    );
+    await m.run(
+      `INSERT INTO stock (stock_id,supplier_id,product_id,quantity,date_added)
+       VALUES ('ST001','S001','P001',20,'2025-10-01')`
+    );
+    await m.run(
+      `INSERT INTO invoices (invoice_id,cust_id,total_amt,date,payment_mode)
+       VALUES ('I001','C001',500,'2025-10-15','Card')`
+    );
+    await m.run(
+      `INSERT INTO sales (sales_id,product_id,invoice_id,quantity_sold,price_total)
+       VALUES ('SA001','P001','I001',2,500)`
+    );
+    await m.run(
+      `INSERT INTO loans (loan_id,cust_id,loan_amount,interest_rate,balance)
+       VALUES ('L001','C002',10000,10,8000)`
+    );
+    await m.run(
+      `INSERT INTO payments (pay_id,loan_id,payment_date,amount_paid,payment_mode)
+       VALUES ('P001','L001','2025-10-20',2000,'Cash')`
+    );
+    await m.run("COMMIT");
+  } catch (err) {
+    await m.run("ROLLBACK").catch(() => {});
+    throw err;
+  }
+}
+
+const db = new sqlite3.Database(dbFile);
+seed(db)
+  .catch((err) => {
+    console.error("❌ Seeding failed:", err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => db.close());
@@ -4,31 +4,40 @@ const sqlite3 = require("sqlite3").verbose();
 const cors = require("cors");
 const morgan = require("morgan");
 const { body, param, query, validationResult } = require("express-validator");
-const path = require("path");
-const fs = require("fs");
+const crypto = require("crypto");
+const { promisify } = require("util");
+const { dbFile, migrate } = require("./migrate");
 
 const app = express();
 
 // === Database setup ===
-const dbFile = path.join(__dirname, "retail.db");
+// The schema is versioned in migrations/ (see migrate.js); pending ones are applied at start
 const db = new sqlite3.Database(dbFile, (err) => {
   if (err) console.error("❌ Database connection error:", err.message);
   else console.log("✅ Connected to SQLite database.");
 });
-
-// Run schema (create tables if not exist)
-const schemaSql = fs.readFileSync(path.join(__dirname, "db_init.sql"), "utf8");
-db.exec(schemaSql, (err) => {
-  if (err) console.error("Schema error:", err.message);
-});
+// Statements run one at a time in the order they are queued
+db.serialize();
 
 // === Express middlewares ===
+// Only the frontend's own origin(s) may call the API; set CORS_ORIGINS to a
+// comma-separated list when it is served from somewhere else. A page opened
+// from disk sends Origin "null" and is refused, so the frontend must be served
+// (see README).
+const corsOrigins = (process.env.CORS_ORIGINS || 'http://localhost:5500,http://127.0.0.1:5500')
+  .split(',')
+  .map(o => o.trim())
+  .filter(Boolean);
 app.use(cors({
-  origin: '*',
+  origin: corsOrigins,
   methods: ['GET', 'POST', 'PUT', 'DELETE'],
-  allowedHeaders: ['Content-Type']
+  allowedHeaders: ['Content-Type', 'Authorization']
 }));
-app.use(express.json());
+// imports can carry a few thousand rows
+const bodyLimit = "5mb";
+app.use(express.json({ limit: bodyLimit }));
+// keep ?token= (live update streams) out of the request log
+morgan.token("url", (req) => req.originalUrl.replace(/([?&]token=)[^&]*/, "$1…"));
 app.use(morgan("dev"));
 
 // === Helper to handle validation errors ===
@@ -38,328 +47,4379 @@ function handleValidation(req, res, next) {
   next();
 }
 
-// === Seed initial data if empty ===
-db.get("SELECT COUNT(*) AS c FROM customers", (err, row) => {
-  if (err) return console.error("Seed check failed:", err.message);
-  if (row && row.c === 0) {
-    console.log("🌱 Seeding initial data...");
-    db.serialize(() => {
-      db.run(
-        `INSERT INTO customers (cust_id,cust_name,email,phone_no,house_no,street_name,city_name)
-         VALUES ('C001','Asha Kumar','asha@example.com','9876543210','12A','MG Road','Jaipur'),
-                ('C002','Ravi Singh','ravi@example.com','9123456780','5B','Station St','Delhi')`
-      );
-      db.run(
-        `INSERT INTO suppliers (supplier_id,supplier_name,enterprise_name,email_id,phone_no,address)
-         VALUES ('S001','Radha Supplies','Radha Co','contact@radha.com','9000000001','12 Market Rd, Jaipur')`
-      );
-      db.run(
-        `INSERT INTO products (product_id,product_name,category,price,quantity_stock,supplier_id)
-         VALUES ('P001','Widget A','Tools',250.0,20,'S001'),
-                ('P002','Gadget B','Gadgets',450.0,10,'S001')`
-      );
-      db.run(
-        `INSERT INTO stock (stock_id,supplier_id,product_id,quantity,date_added)
-         VALUES ('ST001','S001','P001',20,'2025-10-01')`
-      );
-      db.run(
-        `INSERT INTO invoices (invoice_id,cust_id,total_amt,date,payment_mode)
-         VALUES ('I001','C001',500,'2025-10-15','Card')`
-      );
-      db.run(
-        `INSERT INTO sales (sales_id,product_id,invoice_id,quantity_sold,price_total)
-         VALUES ('SA001','P001','I001',2,500)`
-      );
-      db.run(
-        `INSERT INTO loans (loan_id,cust_id,loan_amount,interest_rate,balance)
-         VALUES ('L001','C002',10000,10,8000)`
-      );
-      db.run(
-        `INSERT INTO payments (pay_id,loan_id,payment_date,amount_paid,payment_mode)
-         VALUES ('P001','L001','2025-10-20',2000,'Cash')`
-      );
+// === Promise helpers for routes that need several statements ===
+function dbRun(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, function (err) {
+      if (err) reject(err);
+      else resolve(this);
     });
-  }
-});
+  });
+}
 
-// === Root route ===
-app.get("/", (req, res) =>
-  res.send("Retail Loan Inventory Backend running. Try /api/customers")
-);
+function dbGet(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)));
+  });
+}
+
+function dbAll(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+  });
+}
+
+// All routes share one connection, so transactions are queued one after another;
+// otherwise a second BEGIN would land inside the first transaction. Every write
+// goes through here, even a single statement: run outside the queue it could
+// land inside another request's transaction and be rolled back with it.
+let txQueue = Promise.resolve();
+function withTransaction(work) {
+  const run = txQueue.then(async () => {
+    await dbRun("BEGIN IMMEDIATE");
+    try {
+      const result = await work();
+      await dbRun("COMMIT");
+      return result;
+    } catch (err) {
+      await dbRun("ROLLBACK").catch(() => {});
+      throw err;
+    }
+  });
+  txQueue = run.catch(() => {});
+  return run;
+}
+
+// Error carrying the HTTP status a route should answer with
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// [status, message] a failed write answers with
+function describeError(err) {
+  if (err.status) return [err.status, err.message];
+  const duplicate = /UNIQUE constraint failed: \w+\.(\w+)/.exec(err.message);
+  if (duplicate) return [409, `A record with this ${duplicate[1]} already exists`];
+  if (/constraint/i.test(err.message)) return [400, err.message];
+  return [500, err.message];
+}
+
+function sendError(res, err) {
+  const [status, message] = describeError(err);
+  res.status(status).json({ error: message });
+}
+
+// Money is stored as REAL; round to paise so balances compare cleanly
+function roundMoney(n) {
+  return Math.round((Number(n) || 0) * 100) / 100;
+}
 
 /* ----------------------------
-   ROUTES: Customers
+   List queries: paging, sorting, filters
    ---------------------------- */
-app.get(
-  "/api/customers",
-  [query("q").optional().isString(), query("page").optional().toInt()],
-  handleValidation,
-  (req, res) => {
-    const q = req.query.q || "";
-    const sql = q
-      ? `SELECT * FROM customers WHERE lower(cust_id||' '||cust_name||' '||email||' '||phone_no||' '||city_name)
-         LIKE ? ORDER BY cust_name`
-      : `SELECT * FROM customers ORDER BY cust_name`;
-    const params = q ? [`%${q.toLowerCase()}%`] : [];
-    db.all(sql, params, (err, rows) => {
-      if (err) return res.status(500).json({ error: err.message });
-      res.json(rows);
+const maxListLimit = 1000;
+
+const listRules = [
+  query("page").optional().isInt({ min: 1 }),
+  query("limit").optional().isInt({ min: 1, max: maxListLimit }),
+  query("sort").optional().isString(),
+  query("order").optional().isIn(["asc", "desc", "ASC", "DESC"]),
+  query("q").optional().isString(),
+];
+
+/**
+ * Answers a list route with one page of `spec.base` (any SELECT; filters and
+ * sorting apply to its output columns) as { data, total, page, limit }.
+ * Query string: page (from 1), limit (default 50), sort (one of
+ * spec.sortable), order (asc|desc), q (text search over spec.search), and
+ * the per-field filters in spec.filters, { param: [column, operator] }.
+ * Archived rows are left out unless ?include_archived=1.
+ */
+async function sendList(req, res, spec) {
+  try {
+    const where = [];
+    const params = [];
+    if (spec.archivable !== false && !["1", "true"].includes(req.query.include_archived)) {
+      where.push("deleted_at IS NULL");
+    }
+    if (req.query.q && spec.search) {
+      where.push(`lower(${spec.search.map((c) => `COALESCE(${c}, '')`).join("||' '||")}) LIKE ?`);
+      params.push(`%${req.query.q.toLowerCase()}%`);
+    }
+    Object.entries(spec.filters || {}).forEach(([param, [column, op]]) => {
+      const value = req.query[param];
+      if (value === undefined || value === "") return;
+      where.push(`${column} ${op} ?`);
+      params.push(op === "LIKE" ? `%${value}%` : value);
     });
+
+    const sort = req.query.sort || spec.defaultSort;
+    if (!spec.sortable.includes(sort)) throw httpError(400, `Cannot sort by ${sort}`);
+    const order = (req.query.order || spec.defaultOrder || "asc").toUpperCase();
+    const page = Number(req.query.page) || 1;
+    const limit = Number(req.query.limit) || 50;
+
+    const from = `(${spec.base}) t ${where.length ? `WHERE ${where.join(" AND ")}` : ""}`;
+    const { total } = await dbGet(`SELECT COUNT(*) AS total FROM ${from}`, params);
+    const data = await dbAll(
+      `SELECT * FROM ${from} ORDER BY ${sort} ${order}, ${spec.sortable[0]} ${order} LIMIT ? OFFSET ?`,
+      [...params, limit, (page - 1) * limit]
+    );
+    res.json({ data, total, page, limit });
+  } catch (err) {
+    sendError(res, err);
   }
-);
+}
 
-app.get("/api/customers/:id", [param("id").isString()], handleValidation, (req, res) => {
-  db.get("SELECT * FROM customers WHERE cust_id = ?", [req.params.id], (err, row) => {
-    if (err) return res.status(500).json({ error: err.message });
-    if (!row) return res.status(404).json({ message: "Customer not found" });
-    res.json(row);
+/**
+ * Refuses (409) to remove a row other rows still point at. `refs` lists
+ * [table, column, label] pairs; the message names what is still attached.
+ */
+async function assertUnreferenced(id, refs) {
+  const found = [];
+  for (const [table, column, label] of refs) {
+    const { c } = await dbGet(`SELECT COUNT(*) AS c FROM ${table} WHERE ${column} = ?`, [id]);
+    if (c > 0) found.push(`${c} ${label}`);
+  }
+  if (found.length) throw httpError(409, `${id} is still referenced by ${found.join(", ")}`);
+}
+
+/* ----------------------------
+   Authentication & roles
+   ---------------------------- */
+const roles = ["admin", "cashier", "inventory_clerk", "accountant"];
+const staff = ["cashier", "inventory_clerk", "accountant"];
+const sessionHours = Number(process.env.SESSION_HOURS) || 12;
+
+/**
+ * Who may read (GET) and write (any other method) each API resource, keyed by
+ * the first path segment after /api (reports by report name). Admins may do
+ * everything; anything not listed here is admin-only.
+ */
+const access = {
+  auth: { read: staff, write: staff },
+  summary: { read: staff },
+  customers: { read: staff, write: ["cashier", "accountant"] },
+  suppliers: { read: ["inventory_clerk", "accountant"], write: ["inventory_clerk"] },
+  products: { read: staff, write: ["inventory_clerk"] },
+  stock: { read: ["inventory_clerk", "accountant"], write: ["inventory_clerk"] },
+  "purchase-orders": { read: ["inventory_clerk", "accountant"], write: ["inventory_clerk"] },
+  inventory: { read: ["inventory_clerk", "accountant"] },
+  sales: { read: ["cashier", "accountant"], write: ["cashier"] },
+  invoices: { read: ["cashier", "accountant"], write: ["cashier", "accountant"] },
+  checkout: { write: ["cashier"] },
+  "tax-rates": { read: staff, write: ["accountant"] },
+  loans: { read: ["accountant"], write: ["accountant"] },
+  payments: { read: ["accountant"], write: ["accountant"] },
+  "reports/low-stock": { read: ["inventory_clerk", "accountant"] },
+  "reports/aging": { read: ["accountant"] },
+  "reports/tax": { read: ["accountant"] },
+  "reports/sales": { read: staff },
+  "reports/repayments": { read: ["accountant"] },
+  "reports/valuation": { read: ["inventory_clerk", "accountant"] },
+  "reports/profit": { read: ["accountant"] },
+  trash: { read: staff },
+  audit: { read: ["accountant"] },
+  changes: { read: staff },
+  events: { read: staff },
+};
+
+// Credit terms only finance may set, whichever route carries them
+const financeFields = ["interest_rate", "credit_interest_rate", "credit_limit", "risk_status", "tax_rate"];
+const financeRoles = ["admin", "accountant"];
+
+// The first finance field in `body` the role may not change; clearing one
+// (empty or null) needs the role as much as setting it
+function lockedFinanceField(role, body) {
+  if (financeRoles.includes(role)) return undefined;
+  return financeFields.find((f) => (body || {})[f] !== undefined);
+}
+
+const scrypt = promisify(crypto.scrypt);
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString("hex");
+  const hash = await scrypt(password, salt, 64);
+  return `${salt}:${hash.toString("hex")}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [salt, hash] = String(stored || "").split(":");
+  if (!salt || !hash) return false;
+  const candidate = await scrypt(password, salt, 64);
+  return crypto.timingSafeEqual(candidate, Buffer.from(hash, "hex"));
+}
+
+// Sessions are stored by token hash so a copy of the database can't sign anyone in
+function tokenHash(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+function resourceOf(apiPath) {
+  const [first, second] = apiPath.split("/").filter(Boolean);
+  return first === "reports" ? `reports/${second}` : first;
+}
+
+function canAccess(role, method, resource) {
+  if (role === "admin") return true;
+  const rule = access[resource];
+  const allowed = rule && (method === "GET" ? rule.read : rule.write);
+  return Boolean(allowed && allowed.includes(role));
+}
+
+// What the frontend may show a role: { resource: { read, write } }
+function accessFor(role) {
+  const result = {};
+  [...Object.keys(access), "users"].forEach((resource) => {
+    result[resource] = { read: canAccess(role, "GET", resource), write: canAccess(role, "POST", resource) };
   });
+  return result;
+}
+
+// The first start creates an admin; the password comes from ADMIN_PASSWORD or is printed once
+async function createFirstAdmin() {
+  const { c } = await dbGet("SELECT COUNT(*) AS c FROM users");
+  if (c > 0) return;
+  const password = process.env.ADMIN_PASSWORD || crypto.randomBytes(9).toString("base64url");
+  try {
+    await dbRun("INSERT INTO users (username,password_hash,role,created_at) VALUES (?,?,?,?)", [
+      "admin",
+      await hashPassword(password),
+      "admin",
+      new Date().toISOString(),
+    ]);
+    if (!process.env.ADMIN_PASSWORD) console.log(`🔑 Created user "admin" with password: ${password}`);
+  } catch (e) {
+    console.error("Could not create admin user:", e.message);
+  }
+}
+
+// Every API call needs a signed-in user whose role covers the route
+app.use("/api", async (req, res, next) => {
+  if (req.method === "POST" && req.path === "/auth/login") return next();
+  try {
+    const header = req.get("Authorization") || "";
+    let token = header.startsWith("Bearer ") ? header.slice(7) : null;
+    if (!token && req.method === "GET" && req.path === "/events") token = req.query.token || null;
+    const user =
+      token &&
+      (await dbGet(
+        `SELECT u.username, u.role FROM sessions s JOIN users u ON u.username = s.username
+         WHERE s.token_hash = ? AND s.expires_at > ? AND u.active = 1`,
+        [tokenHash(token), new Date().toISOString()]
+      ));
+    if (!user) return res.status(401).json({ error: "Please sign in" });
+    req.user = user;
+    req.token = token;
+
+    if (!canAccess(user.role, req.method, resourceOf(req.path))) {
+      return res.status(403).json({ error: `Your role (${user.role}) cannot do this` });
+    }
+    const field = req.method !== "GET" && lockedFinanceField(user.role, req.body);
+    if (field) return res.status(403).json({ error: `Only an accountant can change ${field}` });
+    next();
+  } catch (err) {
+    sendError(res, err);
+  }
 });
 
 app.post(
-  "/api/customers",
-  [
-    body("cust_id").isString(),
-    body("cust_name").isString().notEmpty(),
-    body("email").optional().isEmail(),
-    body("phone_no").optional().isString(),
-  ],
+  "/api/auth/login",
+  [body("username").isString().notEmpty(), body("password").isString().notEmpty()],
   handleValidation,
-  (req, res) => {
-    const { cust_id, cust_name, email, phone_no, house_no, street_name, city_name } = req.body;
-    db.run(
-      `INSERT INTO customers (cust_id,cust_name,email,phone_no,house_no,street_name,city_name)
-       VALUES (?,?,?,?,?,?,?)`,
-      [cust_id, cust_name, email, phone_no, house_no, street_name, city_name],
-      function (err) {
-        if (err) return res.status(400).json({ error: err.message });
-        res.status(201).json({ message: "Customer created", id: cust_id });
+  async (req, res) => {
+    try {
+      const user = await dbGet("SELECT * FROM users WHERE username = ? AND active = 1", [req.body.username]);
+      if (!user || !(await verifyPassword(req.body.password, user.password_hash))) {
+        return res.status(401).json({ error: "Wrong username or password" });
       }
-    );
+      const token = crypto.randomBytes(32).toString("hex");
+      const now = new Date();
+      const expires_at = new Date(now.getTime() + sessionHours * 3600 * 1000).toISOString();
+      await withTransaction(async () => {
+        await dbRun("DELETE FROM sessions WHERE expires_at <= ?", [now.toISOString()]);
+        await dbRun("INSERT INTO sessions (token_hash,username,created_at,expires_at) VALUES (?,?,?,?)", [
+          tokenHash(token),
+          user.username,
+          now.toISOString(),
+          expires_at,
+        ]);
+      });
+      res.json({ token, expires_at, user: { username: user.username, role: user.role }, access: accessFor(user.role) });
+    } catch (err) {
+      sendError(res, err);
+    }
   }
 );
 
-app.put("/api/customers/:id", [param("id").isString()], handleValidation, (req, res) => {
-  const id = req.params.id;
-  db.get("SELECT * FROM customers WHERE cust_id = ?", [id], (err, row) => {
-    if (err) return res.status(500).json({ error: err.message });
-    if (!row) return res.status(404).json({ message: "Not found" });
-
-    db.run(
-      `UPDATE customers
-       SET cust_name = COALESCE(?, cust_name),
-           email = COALESCE(?, email),
-           phone_no = COALESCE(?, phone_no),
-           house_no = COALESCE(?, house_no),
-           street_name = COALESCE(?, street_name),
-           city_name = COALESCE(?, city_name)
-       WHERE cust_id = ?`,
-      [
-        req.body.cust_name,
-        req.body.email,
-        req.body.phone_no,
-        req.body.house_no,
-        req.body.street_name,
-        req.body.city_name,
-        id,
-      ],
-      function (err) {
-        if (err) return res.status(400).json({ error: err.message });
-        res.json({ message: "Updated" });
-      }
-    );
-  });
+app.post("/api/auth/logout", async (req, res) => {
+  try {
+    await withTransaction(() => dbRun("DELETE FROM sessions WHERE token_hash = ?", [tokenHash(req.token)]));
+    res.json({ message: "Signed out" });
+  } catch (err) {
+    sendError(res, err);
+  }
 });
 
-app.delete("/api/customers/:id", (req, res) => {
-  db.run("DELETE FROM customers WHERE cust_id = ?", [req.params.id], function (err) {
-    if (err) return res.status(500).json({ error: err.message });
-    if (this.changes === 0) return res.status(404).json({ message: "Not found" });
-    res.json({ message: "Deleted" });
-  });
+app.get("/api/auth/me", (req, res) => {
+  res.json({ user: req.user, access: accessFor(req.user.role) });
 });
 
 /* ----------------------------
-   ROUTES: Suppliers
+   Document numbering
    ---------------------------- */
-app.get("/api/suppliers", (req, res) => {
-  db.all("SELECT * FROM suppliers ORDER BY supplier_name", (err, rows) => {
-    if (err) return res.status(500).json({ error: err.message });
-    res.json(rows);
-  });
-});
+/**
+ * Records created without an id get the next number of their resource's
+ * sequence: prefix, the year when the sequence restarts every year, and the
+ * counter zero-padded, e.g. INV-2026-00042. Sequences live in
+ * number_sequences and admins can change them through /api/numbering; these
+ * are the starting formats. Rows a write makes along the way (goods receipts,
+ * credit accounts, invoice lines, credit notes) have sequences of their own,
+ * with the table and key their numbers must be free in.
+ */
+const numberingDefaults = {
+  customers: { prefix: "CUST", pad: 5, yearly_reset: 0 },
+  suppliers: { prefix: "SUP", pad: 4, yearly_reset: 0 },
+  products: { prefix: "PRD", pad: 5, yearly_reset: 0 },
+  stock: { prefix: "STK", pad: 5, yearly_reset: 1 },
+  "purchase-orders": { prefix: "PO", pad: 5, yearly_reset: 1 },
+  sales: { prefix: "SAL", pad: 5, yearly_reset: 1 },
+  invoices: { prefix: "INV", pad: 5, yearly_reset: 1 },
+  loans: { prefix: "LN", pad: 5, yearly_reset: 1 },
+  payments: { prefix: "PAY", pad: 5, yearly_reset: 1 },
+  "goods-receipts": { prefix: "GRN", pad: 5, yearly_reset: 1, table: "stock", key: "stock_id" },
+  "credit-accounts": { prefix: "CR", pad: 5, yearly_reset: 1, table: "loans", key: "loan_id" },
+  "invoice-lines": { prefix: "ITEM", pad: 6, yearly_reset: 1, table: "sales", key: "sales_id" },
+  "credit-notes": { prefix: "CN", pad: 5, yearly_reset: 1, table: "sales_returns", key: "return_id" },
+};
 
-app.get("/api/suppliers/:id", (req, res) => {
-  db.get("SELECT * FROM suppliers WHERE supplier_id = ?", [req.params.id], (err, row) => {
-    if (err) return res.status(500).json({ error: err.message });
-    if (!row) return res.status(404).json({ message: "Supplier not found" });
-    res.json(row);
-  });
+// The table and key a sequence numbers rows of
+function numberedRows(entity) {
+  return numberingDefaults[entity].table ? numberingDefaults[entity] : audited[entity];
+}
+
+// Run at start; sequences an admin has already changed are left as they are
+function seedNumberSequences() {
+  return Promise.all(
+    Object.entries(numberingDefaults).map(([entity, f]) =>
+      dbRun("INSERT OR IGNORE INTO number_sequences (entity,prefix,pad,yearly_reset,next_value) VALUES (?,?,?,?,1)", [
+        entity,
+        f.prefix,
+        f.pad,
+        f.yearly_reset,
+      ])
+    )
+  );
+}
+
+function formatNumber(seq, year, value) {
+  return [seq.prefix, seq.yearly_reset ? year : null, String(value).padStart(seq.pad, "0")]
+    .filter((part) => part !== null && part !== "")
+    .join("-");
+}
+
+// The number the sequence hands out next, without taking it; a sequence
+// restarting each year starts again at 1 in a new year
+function pendingValue(seq, year) {
+  return seq.yearly_reset && seq.year !== year ? 1 : seq.next_value;
+}
+
+/**
+ * Takes the next free number of a sequence. Runs inside a transaction so two
+ * requests never get the same number; numbers already used by a row (typed
+ * in by hand, imported, or archived) are skipped.
+ */
+async function allocateNumber(entity) {
+  const { table, key } = numberedRows(entity);
+  const seq = await dbGet("SELECT * FROM number_sequences WHERE entity = ?", [entity]);
+  const year = new Date().getFullYear();
+  let value = pendingValue(seq, year);
+  let id = formatNumber(seq, year, value);
+  while (await dbGet(`SELECT 1 FROM ${table} WHERE ${key} = ?`, [id])) id = formatNumber(seq, year, ++value);
+  await dbRun("UPDATE number_sequences SET year = ?, next_value = ? WHERE entity = ?", [year, value + 1, entity]);
+  return id;
+}
+
+/**
+ * The id of a create: the one the client gave, or else the next number of the
+ * entity's sequence. Call it inside the route's write transaction once the
+ * request has passed validation, so a rejected create never uses up a number.
+ * The id is stored back on the body for the audit log.
+ */
+async function numberFor(body, entity) {
+  const { key } = numberedRows(entity);
+  if ([undefined, null, ""].includes(body[key])) body[key] = await allocateNumber(entity);
+  return body[key];
+}
+
+app.get("/api/numbering", async (req, res) => {
+  try {
+    const year = new Date().getFullYear();
+    const rows = await dbAll("SELECT * FROM number_sequences ORDER BY entity");
+    res.json(rows.map((seq) => ({ ...seq, next_id: formatNumber(seq, year, pendingValue(seq, year)) })));
+  } catch (err) {
+    sendError(res, err);
+  }
 });
 
-app.post(
-  "/api/suppliers",
-  [body("supplier_id").isString(), body("supplier_name").isString().notEmpty()],
+// Changing the format applies to the next number; next_value restarts or
+// skips the counter
+app.put(
+  "/api/numbering/:entity",
+  [
+    param("entity").isIn(Object.keys(numberingDefaults)),
+    body("prefix").optional().isString().isLength({ max: 12 }).matches(/^[A-Za-z0-9/_-]*$/),
+    body("pad").optional({ checkFalsy: true }).isInt({ min: 1, max: 12 }),
+    body("yearly_reset").optional().isBoolean(),
+    body("next_value").optional({ checkFalsy: true }).isInt({ min: 1 }),
+  ],
   handleValidation,
-  (req, res) => {
-    const { supplier_id, supplier_name, enterprise_name, email_id, phone_no, address } = req.body;
-    db.run(
-      `INSERT INTO suppliers (supplier_id,supplier_name,enterprise_name,email_id,phone_no,address)
-       VALUES (?,?,?,?,?,?)`,
-      [supplier_id, supplier_name, enterprise_name, email_id, phone_no, address],
-      function (err) {
-        if (err) return res.status(400).json({ error: err.message });
-        res.status(201).json({ message: "Created", id: supplier_id });
-      }
-    );
+  async (req, res) => {
+    try {
+      const seq = await withTransaction(async () => {
+        const current = await dbGet("SELECT * FROM number_sequences WHERE entity = ?", [req.params.entity]);
+        const given = (field) => ![undefined, null, ""].includes(req.body[field]);
+        const yearly =
+          req.body.yearly_reset !== undefined
+            ? Number([true, "true", "1", 1].includes(req.body.yearly_reset))
+            : current.yearly_reset;
+        await dbRun(
+          "UPDATE number_sequences SET prefix = ?, pad = ?, yearly_reset = ?, next_value = ?, year = ? WHERE entity = ?",
+          [
+            req.body.prefix !== undefined ? req.body.prefix : current.prefix,
+            given("pad") ? Number(req.body.pad) : current.pad,
+            yearly,
+            given("next_value") ? Number(req.body.next_value) : current.next_value,
+            // a counter set by hand counts from this year
+            given("next_value") ? new Date().getFullYear() : current.year,
+            req.params.entity,
+          ]
+        );
+        return dbGet("SELECT * FROM number_sequences WHERE entity = ?", [req.params.entity]);
+      });
+      const year = new Date().getFullYear();
+      res.json({ message: "Numbering updated", ...seq, next_id: formatNumber(seq, year, pendingValue(seq, year)) });
+    } catch (err) {
+      sendError(res, err);
+    }
   }
 );
 
 /* ----------------------------
-   ROUTES: Products
+   Audit log
    ---------------------------- */
-app.get("/api/products", (req, res) => {
-  db.all(
-    `SELECT p.*, s.supplier_name
-     FROM products p LEFT JOIN suppliers s ON p.supplier_id = s.supplier_id
-     ORDER BY product_name`,
-    (err, rows) => {
-      if (err) return res.status(500).json({ error: err.message });
-      res.json(rows);
-    }
+/**
+ * Business entities whose rows are snapshotted around every mutating request,
+ * keyed by API resource. `related` rows (parent column, resource) that the
+ * request changes as a side effect get their own entry, so a loan's history
+ * shows the payments that moved its balance. `hidden` columns are never
+ * written to the log.
+ */
+const audited = {
+  customers: { table: "customers", key: "cust_id" },
+  suppliers: { table: "suppliers", key: "supplier_id" },
+  products: { table: "products", key: "product_id" },
+  stock: { table: "stock", key: "stock_id", related: [["product_id", "products"]] },
+  "purchase-orders": { table: "purchase_orders", key: "po_id" },
+  sales: { table: "sales", key: "sales_id", related: [["product_id", "products"]] },
+  invoices: { table: "invoices", key: "invoice_id", related: [["loan_id", "loans"]] },
+  loans: { table: "loans", key: "loan_id" },
+  payments: { table: "payments", key: "pay_id", related: [["loan_id", "loans"]] },
+  users: { table: "users", key: "username", hidden: ["password_hash"] },
+  "tax-rates": { table: "tax_rates", key: "category" },
+};
+
+/**
+ * Rows an action changes beyond its target and `related` parents, as
+ * [resource, id] pairs read from the request; they get an entry of their own
+ * like any related row. Keyed by action, or by "resource.action" for a plain
+ * create or update.
+ */
+const invoiceTouches = async (body) => (body.items || []).map((i) => ["products", i.product_id]);
+const auditTouches = {
+  checkout: invoiceTouches,
+  "invoices.create": invoiceTouches,
+  // receiving without lines takes in everything still outstanding on the order
+  receipts: async (body, target) => {
+    if (body.lines) return body.lines.map((l) => ["products", l.product_id]);
+    const rows = await dbAll(
+      "SELECT product_id FROM purchase_order_lines WHERE po_id = ? AND quantity_received < quantity_ordered",
+      [target.id]
+    );
+    return rows.map((r) => ["products", r.product_id]);
+  },
+  returns: async (body) => {
+    const ids = (body.lines || []).map((l) => l.sales_id);
+    if (!ids.length) return [];
+    const rows = await dbAll(
+      `SELECT DISTINCT product_id FROM sales WHERE sales_id IN (${ids.map(() => "?").join(",")})`,
+      ids
+    );
+    return rows.map((r) => ["products", r.product_id]);
+  },
+};
+
+// Which row a mutating request targets and what it does to it
+function auditTarget(req) {
+  const [resource, id, verb] = req.path.split("/").filter(Boolean);
+  // the importer audits each row itself
+  if (id === "import" && !verb) return null;
+  if (resource === "trash") return { resource: id, id: verb, action: "purge" };
+  if (resource === "checkout") return { resource: "invoices", id: req.body.invoice_id, action: "checkout" };
+  const spec = audited[resource];
+  if (!spec) return null;
+  let action = verb;
+  if (!action) {
+    if (req.method === "POST") action = "create";
+    else if (req.method === "PUT") action = "update";
+    else action = resource === "users" ? "deactivate" : "archive";
+  }
+  return { resource, id: id || req.body[spec.key], action };
+}
+
+async function auditSnapshot(resource, id) {
+  const spec = audited[resource];
+  if (!spec || id === undefined || id === null || id === "") return null;
+  const row = await dbGet(`SELECT * FROM ${spec.table} WHERE ${spec.key} = ?`, [id]);
+  return row || null;
+}
+
+// { column: { before, after } } for every column that differs
+function auditDiff(before, after) {
+  const changes = {};
+  new Set([...Object.keys(before || {}), ...Object.keys(after || {})]).forEach((column) => {
+    const was = before ? before[column] : null;
+    const now = after ? after[column] : null;
+    if (was !== now && !(was == null && now == null)) changes[column] = { before: was ?? null, after: now ?? null };
+  });
+  return changes;
+}
+
+// A row as clients see it, without the columns the audit log hides
+function clientRow(resource, row) {
+  if (row) (audited[resource].hidden || []).forEach((column) => delete row[column]);
+  return row;
+}
+
+// Logs one change and returns it as the change feed and live updates carry it
+async function writeAudit(user, resource, id, action, request, before, after) {
+  const changes = auditDiff(before, after);
+  (audited[resource].hidden || []).forEach((column) => {
+    if (changes[column]) changes[column] = { changed: true };
+  });
+  const { lastID } = await dbRun(
+    `INSERT INTO audit_log (created_at,username,entity,entity_id,action,request,changes)
+     VALUES (?,?,?,?,?,?,?)`,
+    [new Date().toISOString(), user, resource, String(id), action, request, JSON.stringify(changes)]
   );
+  return { entity: resource, id: String(id), row: clientRow(resource, after && { ...after }), cursor: lastID };
+}
+
+/**
+ * The target row of a write and the rows it may change along the way, as they
+ * are before it. Run inside a transaction; auditAfter logs what changed.
+ */
+async function auditBefore(target, body) {
+  const spec = audited[target.resource];
+  const related = [];
+  const before = await auditSnapshot(target.resource, target.id);
+  for (const [column, parent] of spec.related || []) {
+    const parentId = (before && before[column]) || body[column];
+    if (parentId) related.push({ parent, id: parentId, before: await auditSnapshot(parent, parentId) });
+  }
+  const touches = auditTouches[target.action] || auditTouches[`${target.resource}.${target.action}`];
+  const touched = touches ? await touches(body, target) : [];
+  for (const [parent, id] of touched) {
+    if (id && !related.some((r) => r.parent === parent && r.id === id)) {
+      related.push({ parent, id, before: await auditSnapshot(parent, id) });
+    }
+  }
+  return { target, before, related };
+}
+
+// Logs the changes since auditBefore; `id` is the target's id once saved
+async function auditAfter(user, request, { target, before, related }, id) {
+  const after = await auditSnapshot(target.resource, id);
+  const logged = [await writeAudit(user, target.resource, id, target.action, request, before, after)];
+  for (const r of related) {
+    const now = await auditSnapshot(r.parent, r.id);
+    if (Object.keys(auditDiff(r.before, now)).length) {
+      logged.push(await writeAudit(user, r.parent, r.id, `${target.action} via ${target.resource} ${id}`, request, r.before, now));
+    }
+  }
+  return logged;
+}
+
+// Picks out the row a write targets; the handler logs it with auditedTransaction
+app.use("/api", (req, res, next) => {
+  if (req.method === "GET") return next();
+  const target = auditTarget(req);
+  if (target && audited[target.resource]) req.auditTarget = target;
+  next();
 });
 
-app.post(
-  "/api/products",
-  [
-    body("product_id").isString(),
-    body("product_name").isString().notEmpty(),
-    body("price").optional().isNumeric(),
-    body("quantity_stock").optional().isInt(),
-  ],
+/**
+ * withTransaction for a request's write, logged in the same transaction: the
+ * audit entries commit or roll back with the change, so two writes to one row
+ * never show up in each other's diffs, and they are broadcast only once the
+ * transaction has committed. A create names the new row by the `id` its work
+ * returns.
+ */
+async function auditedTransaction(req, work) {
+  const target = req.auditTarget;
+  if (!target) return withTransaction(work);
+  const [result, logged] = await withTransaction(async () => {
+    const snapshot = await auditBefore(target, req.body);
+    const result = await work();
+    const id = target.id || (result && result.id);
+    return [result, await auditAfter(req.user.username, `${req.method} ${req.originalUrl}`, snapshot, id)];
+  });
+  broadcastChanges(logged);
+  return result;
+}
+
+// The current row as clients see it
+async function savedRow(resource, id) {
+  return clientRow(resource, await auditSnapshot(resource, id));
+}
+
+// Creates and updates answer with the saved row as `data`, so clients can
+// patch their copy instead of reloading whole lists
+app.use("/api", (req, res, next) => {
+  if (!["POST", "PUT"].includes(req.method)) return next();
+  const target = auditTarget(req);
+  if (!target || !audited[target.resource]) return next();
+
+  const send = res.json.bind(res);
+  res.json = (payload) => {
+    if (res.statusCode >= 400 || !payload || payload.data !== undefined) return send(payload);
+    withTransaction(() => savedRow(target.resource, target.id || payload.id))
+      .then((row) => send({ ...payload, data: row }))
+      .catch(() => send(payload));
+    return res;
+  };
+  next();
+});
+
+app.get(
+  "/api/audit",
+  [query("entity").optional().isString(), query("id").optional().isString(), query("limit").optional().isInt({ min: 1, max: 500 })],
   handleValidation,
   (req, res) => {
-    const { product_id, product_name, category, price, quantity_stock, supplier_id } = req.body;
-    db.run(
-      `INSERT INTO products (product_id,product_name,category,price,quantity_stock,supplier_id)
-       VALUES (?,?,?,?,?,?)`,
-      [product_id, product_name, category, price || 0, quantity_stock || 0, supplier_id],
-      function (err) {
-        if (err) return res.status(400).json({ error: err.message });
-        res.status(201).json({ message: "Product added" });
+    const where = [];
+    const params = [];
+    if (req.query.entity) {
+      where.push("entity = ?");
+      params.push(req.query.entity);
+    }
+    if (req.query.id) {
+      where.push("entity_id = ?");
+      params.push(req.query.id);
+    }
+    db.all(
+      `SELECT * FROM audit_log ${where.length ? `WHERE ${where.join(" AND ")}` : ""}
+       ORDER BY audit_id DESC LIMIT ?`,
+      [...params, Number(req.query.limit) || 100],
+      (err, rows) => {
+        if (err) return res.status(500).json({ error: err.message });
+        res.json(rows.map((r) => ({ ...r, changes: JSON.parse(r.changes || "{}") })));
       }
     );
   }
 );
 
-/* ----------------------------
-   ROUTES: Stock
-   ---------------------------- */
-app.get("/api/stock", (req, res) => {
-  db.all(
-    `SELECT s.*, p.product_name
-     FROM stock s LEFT JOIN products p ON s.product_id = p.product_id
-     ORDER BY date_added DESC`,
-    (err, rows) => {
-      if (err) return res.status(500).json({ error: err.message });
-      res.json(rows);
-    }
-  );
+/**
+ * Change feed for clients catching up on edits made elsewhere: the latest
+ * state of every row written since audit entry `since` (null once the row is
+ * gone), limited to what the caller may read. Without ?since it only returns
+ * the current cursor; `more` means another page is waiting.
+ */
+const changePageSize = 500;
+
+app.get("/api/changes", [query("since").optional().isInt({ min: 0 })], handleValidation, async (req, res) => {
+  try {
+    const feed = await withTransaction(async () => {
+      if (req.query.since === undefined) {
+        const { cursor } = await dbGet("SELECT COALESCE(MAX(audit_id), 0) AS cursor FROM audit_log");
+        return { cursor, changes: [], more: false };
+      }
+      const entries = await dbAll(
+        "SELECT audit_id, entity, entity_id FROM audit_log WHERE audit_id > ? ORDER BY audit_id LIMIT ?",
+        [Number(req.query.since), changePageSize]
+      );
+      const latest = new Map();
+      entries.forEach((e) => {
+        if (!audited[e.entity] || !canAccess(req.user.role, "GET", e.entity)) return;
+        latest.delete(`${e.entity}/${e.entity_id}`);
+        latest.set(`${e.entity}/${e.entity_id}`, e);
+      });
+      const changes = [];
+      for (const e of latest.values()) {
+        changes.push({ entity: e.entity, id: e.entity_id, row: await savedRow(e.entity, e.entity_id) });
+      }
+      return {
+        cursor: entries.length ? entries[entries.length - 1].audit_id : Number(req.query.since),
+        changes,
+        more: entries.length === changePageSize,
+      };
+    });
+    res.json(feed);
+  } catch (err) {
+    sendError(res, err);
+  }
 });
 
 /* ----------------------------
-   ROUTES: Loans, Invoices, Payments
+   Live updates (Server-Sent Events)
    ---------------------------- */
-app.get("/api/loans", (req, res) => {
-  db.all("SELECT * FROM loans ORDER BY loan_id DESC", (err, rows) => {
-    if (err) return res.status(500).json({ error: err.message });
-    res.json(rows);
+// Open streams; EventSource can't send headers, so these sign in with ?token=
+const liveClients = new Set();
+const livePingMs = 25000;
+
+app.get("/api/events", (req, res) => {
+  res.set({ "Content-Type": "text/event-stream", "Cache-Control": "no-cache", Connection: "keep-alive" });
+  res.flushHeaders();
+  res.write("retry: 5000\n\n");
+  const client = { res, role: req.user.role };
+  liveClients.add(client);
+
+  // the ping also ends streams whose session was signed out or expired
+  const ping = setInterval(async () => {
+    try {
+      const live = await dbGet(
+        `SELECT 1 FROM sessions s JOIN users u ON u.username = s.username
+         WHERE s.token_hash = ? AND s.expires_at > ? AND u.active = 1`,
+        [tokenHash(req.token), new Date().toISOString()]
+      );
+      if (live) res.write(": ping\n\n");
+      else res.end();
+    } catch (err) {
+      console.error("Live ping failed:", err.message);
+    }
+  }, livePingMs);
+  req.on("close", () => {
+    clearInterval(ping);
+    liveClients.delete(client);
   });
 });
 
-app.get("/api/payments", (req, res) => {
-  db.all("SELECT * FROM payments ORDER BY payment_date DESC", (err, rows) => {
-    if (err) return res.status(500).json({ error: err.message });
-    res.json(rows);
+// Sends logged changes to every open stream whose role may read them
+function broadcastChanges(changes) {
+  changes.forEach((change) => {
+    const message = `event: change\ndata: ${JSON.stringify(change)}\n\n`;
+    liveClients.forEach((client) => {
+      if (canAccess(client.role, "GET", change.entity)) client.res.write(message);
+    });
   });
-});
+}
+
+// Import and export routes are added with the entities further down; they are
+// mounted here so /:entity/export is matched before each entity's /:id route
+const transferRouter = express.Router();
+app.use("/api", transferRouter);
 
 /* ----------------------------
-   Dashboard Summary
+   ROUTES: Users (admin only)
    ---------------------------- */
-app.get("/api/summary", (req, res) => {
-  let summary = {};
-  db.get("SELECT COUNT(*) AS c FROM customers", (err, row) => {
-    if (err) return res.status(500).json({ error: err.message });
-    summary.totalCustomers = row.c;
-    db.get("SELECT COUNT(*) AS c FROM products", (err2, row2) => {
-      summary.totalProducts = row2.c;
-      db.get("SELECT COUNT(*) AS c FROM loans", (err3, row3) => {
-        summary.totalLoans = row3.c;
-        db.get("SELECT SUM(balance) AS s FROM loans", (err4, row4) => {
-          summary.pendingPayments = row4.s || 0;
-          res.json(summary);
-        });
+app.get("/api/users", listRules, handleValidation, (req, res) =>
+  sendList(req, res, {
+    base: "SELECT username, role, active, created_at FROM users",
+    archivable: false,
+    sortable: ["username", "role", "active", "created_at"],
+    defaultSort: "username",
+    search: ["username", "role"],
+    filters: { role: ["role", "="], active: ["active", "="] },
+  })
+);
+
+app.post(
+  "/api/users",
+  [
+    body("username").isString().trim().notEmpty(),
+    body("password").isString().isLength({ min: 8 }).withMessage("Password must be at least 8 characters"),
+    body("role").isIn(roles),
+  ],
+  handleValidation,
+  async (req, res) => {
+    try {
+      const password_hash = await hashPassword(req.body.password);
+      await auditedTransaction(req, () =>
+        dbRun("INSERT INTO users (username,password_hash,role,created_at) VALUES (?,?,?,?)", [
+          req.body.username,
+          password_hash,
+          req.body.role,
+          new Date().toISOString(),
+        ])
+      );
+      res.status(201).json({ message: "User created", id: req.body.username });
+    } catch (err) {
+      sendError(res, err);
+    }
+  }
+);
+
+// A new password or a deactivation signs the user out everywhere
+app.put(
+  "/api/users/:username",
+  [
+    param("username").isString(),
+    body("password").optional({ checkFalsy: true }).isLength({ min: 8 }).withMessage("Password must be at least 8 characters"),
+    body("role").optional({ checkFalsy: true }).isIn(roles),
+    body("active").optional().isBoolean().toBoolean(),
+  ],
+  handleValidation,
+  async (req, res) => {
+    const username = req.params.username;
+    try {
+      await auditedTransaction(req, async () => {
+        const user = await dbGet("SELECT * FROM users WHERE username = ?", [username]);
+        if (!user) throw httpError(404, "Not found");
+        const role = req.body.role || user.role;
+        const active = req.body.active === undefined ? user.active : Number(req.body.active);
+        if (username === req.user.username && (role !== "admin" || !active)) {
+          throw httpError(409, "You cannot remove your own admin access");
+        }
+        const password_hash = req.body.password ? await hashPassword(req.body.password) : user.password_hash;
+        await dbRun("UPDATE users SET role = ?, active = ?, password_hash = ? WHERE username = ?", [
+          role,
+          active,
+          password_hash,
+          username,
+        ]);
+        if (req.body.password || !active) await dbRun("DELETE FROM sessions WHERE username = ?", [username]);
       });
+      res.json({ message: "Updated" });
+    } catch (err) {
+      sendError(res, err);
+    }
+  }
+);
+
+// Users are deactivated, not removed, so their name stays on what they did
+app.delete("/api/users/:username", async (req, res) => {
+  if (req.params.username === req.user.username) {
+    return res.status(409).json({ error: "You cannot deactivate yourself" });
+  }
+  try {
+    await auditedTransaction(req, async () => {
+      const result = await dbRun("UPDATE users SET active = 0 WHERE username = ?", [req.params.username]);
+      if (result.changes === 0) throw httpError(404, "Not found");
+      await dbRun("DELETE FROM sessions WHERE username = ?", [req.params.username]);
     });
-  });
+    res.json({ message: "User deactivated" });
+  } catch (err) {
+    sendError(res, err);
+  }
 });
+
+// === Root route ===
+app.get("/", (req, res) =>
+  res.send("Retail Loan Inventory Backend running. Try /api/customers")
+);
+
 /* ----------------------------
-   ROUTES: Invoices
+   ROUTES: Customers
    ---------------------------- */
-app.get('/api/invoices', (req, res) => {
-  db.all('SELECT * FROM invoices ORDER BY date DESC', [], (err, rows) => {
+const customerCreditRules = [
+  body("credit_limit").optional({ checkFalsy: true }).isFloat({ min: 0 }),
+  body("risk_status").optional({ checkFalsy: true }).isIn(["active", "blocked"]),
+];
+
+app.get("/api/customers", listRules, handleValidation, (req, res) =>
+  sendList(req, res, {
+    base: "SELECT * FROM customers",
+    sortable: ["cust_id", "cust_name", "email", "phone_no", "city_name", "state", "credit_limit", "risk_status"],
+    defaultSort: "cust_name",
+    search: ["cust_id", "cust_name", "email", "phone_no", "city_name", "state"],
+    filters: { city: ["city_name", "="], state: ["state", "="], risk_status: ["risk_status", "="] },
+  })
+);
+
+app.get("/api/customers/:id", [param("id").isString()], handleValidation, (req, res) => {
+  db.get("SELECT * FROM customers WHERE cust_id = ?", [req.params.id], (err, row) => {
     if (err) return res.status(500).json({ error: err.message });
-    res.json(rows);
+    if (!row) return res.status(404).json({ message: "Customer not found" });
+    res.json(row);
   });
 });
 
-app.post('/api/invoices', [
-  body('invoice_id').isString(),
-  body('cust_id').isString(),
-  body('total_amt').isNumeric()
-], handleValidation, (req, res) => {
-  const { invoice_id, cust_id, total_amt, date, payment_mode } = req.body;
-  db.run(
-    'INSERT INTO invoices (invoice_id, cust_id, total_amt, date, payment_mode) VALUES (?, ?, ?, ?, ?)',
-    [invoice_id, cust_id, total_amt, date || new Date().toISOString().slice(0,10), payment_mode || 'Cash'],
-    function(err) {
-      if (err) return res.status(400).json({ error: err.message });
-      res.status(201).json({ message: 'Invoice created', id: invoice_id });
-    }
+const customerRules = [
+  body("cust_id").optional({ checkFalsy: true }).isString(),
+  body("cust_name").isString().notEmpty(),
+  body("email").optional().isEmail(),
+  body("phone_no").optional().isString(),
+  ...customerCreditRules,
+];
+
+async function createCustomer(body) {
+  const cust_id = await numberFor(body, "customers");
+  const { cust_name, email, phone_no, house_no, street_name, city_name, state, credit_limit, risk_status } = body;
+  await dbRun(
+    `INSERT INTO customers (cust_id,cust_name,email,phone_no,house_no,street_name,city_name,state,credit_limit,risk_status)
+     VALUES (?,?,?,?,?,?,?,?,?,?)`,
+    [
+      cust_id,
+      cust_name,
+      email,
+      phone_no,
+      house_no,
+      street_name,
+      city_name,
+      state || null,
+      credit_limit === undefined || credit_limit === "" ? null : Number(credit_limit),
+      risk_status || "active",
+    ]
   );
-});
+  return { id: cust_id };
+}
 
-/* ----------------------------
-   ROUTES: Sales
+async function updateCustomer(id, body) {
+  const row = await dbGet("SELECT * FROM customers WHERE cust_id = ?", [id]);
+  if (!row) throw httpError(404, "Not found");
+
+  // an empty credit limit removes the limit
+  const limit = body.credit_limit;
+  await dbRun(
+    `UPDATE customers
+     SET cust_name = COALESCE(?, cust_name),
+         email = COALESCE(?, email),
+         phone_no = COALESCE(?, phone_no),
+         house_no = COALESCE(?, house_no),
+         street_name = COALESCE(?, street_name),
+         city_name = COALESCE(?, city_name),
+         state = COALESCE(?, state),
+         credit_limit = ?,
+         risk_status = COALESCE(?, risk_status)
+     WHERE cust_id = ?`,
+    [
+      body.cust_name,
+      body.email,
+      body.phone_no,
+      body.house_no,
+      body.street_name,
+      body.city_name,
+      body.state,
+      limit === undefined ? row.credit_limit : limit === "" || limit === null ? null : Number(limit),
+      body.risk_status || null,
+      id,
+    ]
+  );
+  return {};
+}
+
+app.post("/api/customers", customerRules, handleValidation, async (req, res) => {
+  try {
+    const { id } = await auditedTransaction(req, () => createCustomer(req.body));
+    res.status(201).json({ message: "Customer created", id });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+app.put("/api/customers/:id", [param("id").isString(), ...customerCreditRules], handleValidation, async (req, res) => {
+  try {
+    await auditedTransaction(req, () => updateCustomer(req.params.id, req.body));
+    res.json({ message: "Updated" });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+app.get("/api/customers/:id/credit", [param("id").isString()], handleValidation, async (req, res) => {
+  try {
+    res.json(await creditPosition(req.params.id));
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+/**
+ * Account statement: invoices, loans and loan payments for one customer as a
+ * single ledger. Debits are what the customer took on (invoice totals, cash
+ * loans, interest charged when a payment settles it); credits are what they
+ * paid. Credit purchases appear once, as the invoice, not again as a loan.
+ */
+app.get(
+  "/api/customers/:id/statement",
+  [
+    param("id").isString(),
+    query("from").optional({ checkFalsy: true }).isISO8601(),
+    query("to").optional({ checkFalsy: true }).isISO8601(),
+  ],
+  handleValidation,
+  async (req, res) => {
+    const from = req.query.from || "0000-01-01";
+    const to = req.query.to || today();
+    try {
+      const customer = await dbGet("SELECT * FROM customers WHERE cust_id = ?", [req.params.id]);
+      if (!customer) return res.status(404).json({ message: "Customer not found" });
+
+      const entries = [];
+      const invoices = await dbAll("SELECT * FROM invoices WHERE cust_id = ? AND deleted_at IS NULL", [customer.cust_id]);
+      invoices.forEach((inv) => {
+        entries.push({
+          date: inv.date,
+          type: "invoice",
+          ref: inv.invoice_id,
+          description: `Invoice ${inv.invoice_id} (${inv.payment_mode || "Cash"})`,
+          debit: roundMoney(inv.total_amt),
+          credit: 0,
+        });
+        // invoices from before upfront payments were recorded were paid in full unless on credit
+        const paid = inv.amount_paid != null ? inv.amount_paid : inv.payment_mode === "Credit" ? 0 : inv.total_amt;
+        if (paid > 0) {
+          entries.push({
+            date: inv.date,
+            type: "invoice_payment",
+            ref: inv.invoice_id,
+            description: `Paid against invoice ${inv.invoice_id}`,
+            debit: 0,
+            credit: roundMoney(paid),
+          });
+        }
+      });
+
+      // credit notes taken off a credit loan show up below as loan payments
+      const refunds = await dbAll(
+        `SELECT r.* FROM sales_returns r JOIN invoices i ON i.invoice_id = r.invoice_id
+         WHERE i.cust_id = ? AND r.refunded > 0`,
+        [customer.cust_id]
+      );
+      refunds.forEach((r) => {
+        entries.push({
+          date: r.date,
+          type: "credit_note",
+          ref: r.return_id,
+          description: `Credit note ${r.return_id} for invoice ${r.invoice_id}`,
+          debit: 0,
+          credit: roundMoney(r.refunded),
+        });
+        entries.push({
+          date: r.date,
+          type: "refund",
+          ref: r.return_id,
+          description: `Refund paid on credit note ${r.return_id}`,
+          debit: roundMoney(r.refunded),
+          credit: 0,
+        });
+      });
+
+      const loans = await dbAll("SELECT * FROM loans WHERE cust_id = ? AND deleted_at IS NULL", [customer.cust_id]);
+      for (const loan of loans) {
+        const payments = await dbAll("SELECT * FROM payments WHERE loan_id = ? AND deleted_at IS NULL", [loan.loan_id]);
+        if (!loan.invoice_id) {
+          entries.push({
+            date: disbursedOn(loan, payments),
+            type: "loan",
+            ref: loan.loan_id,
+            description: `Loan ${loan.loan_id} disbursed @ ${loan.interest_rate || 0}%`,
+            debit: roundMoney(loan.loan_amount),
+            credit: 0,
+          });
+        }
+        payments.forEach((p) => {
+          if (p.interest_part > 0) {
+            entries.push({
+              date: p.payment_date,
+              type: "interest",
+              ref: loan.loan_id,
+              description: `Interest on loan ${loan.loan_id}`,
+              debit: roundMoney(p.interest_part),
+              credit: 0,
+            });
+          }
+          entries.push({
+            date: p.payment_date,
+            type: "payment",
+            ref: p.pay_id,
+            description: `Payment on loan ${loan.loan_id} (${p.payment_mode || "Cash"})`,
+            debit: 0,
+            credit: roundMoney(p.amount_paid),
+          });
+        });
+      }
+
+      // same-day entries: charges before the payments against them
+      entries.sort((a, b) => (a.date || "").localeCompare(b.date || "") || b.debit - a.debit);
+
+      let opening = 0;
+      let balance = 0;
+      const lines = [];
+      entries.forEach((e) => {
+        if ((e.date || "") < from) {
+          opening = roundMoney(opening + e.debit - e.credit);
+          balance = opening;
+        } else if ((e.date || "") <= to) {
+          balance = roundMoney(balance + e.debit - e.credit);
+          lines.push({ ...e, balance });
+        }
+      });
+
+      res.json({
+        customer: {
+          cust_id: customer.cust_id,
+          cust_name: customer.cust_name,
+          email: customer.email,
+          phone_no: customer.phone_no,
+          house_no: customer.house_no,
+          street_name: customer.street_name,
+          city_name: customer.city_name,
+        },
+        from: req.query.from || null,
+        to,
+        opening_balance: opening,
+        total_debit: roundMoney(lines.reduce((sum, l) => sum + l.debit, 0)),
+        total_credit: roundMoney(lines.reduce((sum, l) => sum + l.credit, 0)),
+        closing_balance: balance,
+        entries: lines,
+      });
+    } catch (err) {
+      sendError(res, err);
+    }
+  }
+);
+
+/* ----------------------------
+   ROUTES: Suppliers
+   ---------------------------- */
+app.get("/api/suppliers", listRules, handleValidation, (req, res) =>
+  sendList(req, res, {
+    base: "SELECT * FROM suppliers",
+    sortable: ["supplier_id", "supplier_name", "enterprise_name", "email_id", "phone_no"],
+    defaultSort: "supplier_name",
+    search: ["supplier_id", "supplier_name", "enterprise_name", "email_id", "phone_no"],
+  })
+);
+
+app.get("/api/suppliers/:id", (req, res) => {
+  db.get("SELECT * FROM suppliers WHERE supplier_id = ?", [req.params.id], (err, row) => {
+    if (err) return res.status(500).json({ error: err.message });
+    if (!row) return res.status(404).json({ message: "Supplier not found" });
+    res.json(row);
+  });
+});
+
+const supplierRules = [
+  body("supplier_id").optional({ checkFalsy: true }).isString(),
+  body("supplier_name").isString().notEmpty(),
+];
+
+async function createSupplier(body) {
+  const supplier_id = await numberFor(body, "suppliers");
+  const { supplier_name, enterprise_name, email_id, phone_no, address } = body;
+  await dbRun(
+    `INSERT INTO suppliers (supplier_id,supplier_name,enterprise_name,email_id,phone_no,address)
+     VALUES (?,?,?,?,?,?)`,
+    [supplier_id, supplier_name, enterprise_name, email_id, phone_no, address]
+  );
+  return { id: supplier_id };
+}
+
+async function updateSupplier(id, body) {
+  const { supplier_name, enterprise_name, email_id, phone_no, address } = body;
+  const { changes } = await dbRun(
+    `UPDATE suppliers SET supplier_name = COALESCE(?, supplier_name), enterprise_name = COALESCE(?, enterprise_name),
+            email_id = COALESCE(?, email_id), phone_no = COALESCE(?, phone_no), address = COALESCE(?, address)
+     WHERE supplier_id = ?`,
+    [supplier_name, enterprise_name, email_id, phone_no, address, id]
+  );
+  if (changes === 0) throw httpError(404, "Not found");
+  return {};
+}
+
+app.post("/api/suppliers", supplierRules, handleValidation, async (req, res) => {
+  try {
+    const { id } = await auditedTransaction(req, () => createSupplier(req.body));
+    res.status(201).json({ message: "Created", id });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+app.put(
+  "/api/suppliers/:id",
+  [param("id").isString(), body("supplier_name").optional().isString().notEmpty(), body("email_id").optional({ checkFalsy: true }).isEmail()],
+  handleValidation,
+  async (req, res) => {
+    try {
+      await auditedTransaction(req, () => updateSupplier(req.params.id, req.body));
+      res.json({ message: "Updated" });
+    } catch (err) {
+      sendError(res, err);
+    }
+  }
+);
+
+/* ----------------------------
+   Inventory ledger
+   ---------------------------- */
+const movementKinds = ["opening", "receipt", "sale", "return", "adjustment"];
+
+/**
+ * The only way stock on hand changes: records the movement (positive in,
+ * negative out) and applies it to products.quantity_stock. Must run inside a
+ * transaction. Refuses to take more than is on hand.
+ */
+async function moveStock(productId, quantity, kind, { reason = null, ref = null } = {}) {
+  const product = await dbGet("SELECT product_id, quantity_stock FROM products WHERE product_id = ?", [productId]);
+  if (!product) throw httpError(400, `Product ${productId} does not exist`);
+  if (quantity < 0 && product.quantity_stock < -quantity) {
+    throw httpError(409, `Only ${product.quantity_stock} of ${productId} in stock, ${-quantity} needed`);
+  }
+  await dbRun(
+    `INSERT INTO inventory_movements (product_id,quantity,kind,reason,ref,created_at)
+     VALUES (?,?,?,?,?,?)`,
+    [productId, quantity, kind, reason, ref, new Date().toISOString()]
+  );
+  await dbRun("UPDATE products SET quantity_stock = quantity_stock + ? WHERE product_id = ?", [quantity, productId]);
+}
+
+app.get("/api/products/:id/movements", [query("kind").optional().isIn(movementKinds)], handleValidation, async (req, res) => {
+  try {
+    const product = await dbGet("SELECT product_id, product_name, quantity_stock FROM products WHERE product_id = ?", [
+      req.params.id,
+    ]);
+    if (!product) return res.status(404).json({ message: "Product not found" });
+    const movements = await dbAll(
+      "SELECT * FROM inventory_movements WHERE product_id = ? ORDER BY created_at, movement_id",
+      [product.product_id]
+    );
+    let onHand = 0;
+    movements.forEach((m) => (m.balance = onHand += m.quantity));
+    res.json({
+      ...product,
+      ledger_quantity: onHand,
+      difference: product.quantity_stock - onHand,
+      movements: req.query.kind ? movements.filter((m) => m.kind === req.query.kind) : movements,
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// Manual correction after a count, breakage, theft etc. Give either the change
+// (`quantity`, may be negative) or what was counted (`counted`).
+app.post(
+  "/api/products/:id/adjustments",
+  [
+    param("id").isString(),
+    body("quantity").optional().isInt(),
+    body("counted").optional().isInt({ min: 0 }),
+    body("reason").trim().notEmpty().withMessage("A reason is required for stock adjustments"),
+  ],
+  handleValidation,
+  async (req, res) => {
+    if (req.body.quantity == null && req.body.counted == null) {
+      return res.status(400).json({ error: "Give the quantity change or the counted quantity" });
+    }
+    try {
+      const change = await auditedTransaction(req, async () => {
+        const product = await dbGet("SELECT quantity_stock FROM products WHERE product_id = ?", [req.params.id]);
+        if (!product) throw httpError(404, "Product not found");
+        const delta = req.body.counted != null ? Number(req.body.counted) - product.quantity_stock : Number(req.body.quantity);
+        if (delta === 0) throw httpError(400, "Quantity is unchanged");
+        await moveStock(req.params.id, delta, "adjustment", { reason: req.body.reason });
+        return delta;
+      });
+      res.status(201).json({ message: "Stock adjusted", id: req.params.id, quantity: change });
+    } catch (err) {
+      sendError(res, err);
+    }
+  }
+);
+
+// Products whose stored quantity disagrees with their movement ledger
+app.get("/api/inventory/reconciliation", (req, res) => {
+  db.all(
+    `SELECT p.product_id, p.product_name, p.quantity_stock,
+            COALESCE(SUM(m.quantity), 0) AS ledger_quantity,
+            p.quantity_stock - COALESCE(SUM(m.quantity), 0) AS difference,
+            MAX(m.created_at) AS last_movement_at
+     FROM products p LEFT JOIN inventory_movements m ON m.product_id = p.product_id
+     GROUP BY p.product_id
+     HAVING difference <> 0
+     ORDER BY ABS(difference) DESC`,
+    (err, rows) => {
+      if (err) return res.status(500).json({ error: err.message });
+      res.json({ mismatched: rows.length, products: rows });
+    }
+  );
+});
+
+/* ----------------------------
+   ROUTES: Products
+   ---------------------------- */
+const reorderRules = [
+  body("reorder_level").optional({ checkFalsy: true }).isInt({ min: 0 }),
+  body("reorder_qty").optional({ checkFalsy: true }).isInt({ min: 1 }),
+];
+
+// Blank form fields clear an optional number
+function optionalInt(value) {
+  return value === undefined || value === null || value === "" ? null : Number(value);
+}
+
+// A blank tax rate taxes the product at its category's rate
+const optionalRate = optionalInt;
+
+app.get("/api/products", listRules, handleValidation, (req, res) =>
+  sendList(req, res, {
+    base: `SELECT p.*, s.supplier_name
+           FROM products p LEFT JOIN suppliers s ON p.supplier_id = s.supplier_id`,
+    sortable: ["product_id", "product_name", "category", "price", "quantity_stock", "supplier_id", "reorder_level", "tax_rate"],
+    defaultSort: "product_name",
+    search: ["product_id", "product_name", "category", "supplier_name"],
+    filters: {
+      category: ["category", "="],
+      supplier_id: ["supplier_id", "="],
+      min_price: ["price", ">="],
+      max_price: ["price", "<="],
+      max_stock: ["quantity_stock", "<="],
+    },
+  })
+);
+
+app.get("/api/products/:id", (req, res) => {
+  db.get(
+    `SELECT p.*, s.supplier_name
+     FROM products p LEFT JOIN suppliers s ON p.supplier_id = s.supplier_id
+     WHERE p.product_id = ?`,
+    [req.params.id],
+    (err, row) => {
+      if (err) return res.status(500).json({ error: err.message });
+      if (!row) return res.status(404).json({ message: "Product not found" });
+      res.json(row);
+    }
+  );
+});
+
+const productRules = [
+  body("product_id").optional({ checkFalsy: true }).isString(),
+  body("product_name").isString().notEmpty(),
+  body("price").optional().isNumeric(),
+  body("quantity_stock").optional().isInt(),
+  body("tax_rate").optional({ checkFalsy: true }).isFloat({ min: 0, max: 100 }),
+  ...reorderRules,
+];
+
+async function createProduct(body) {
+  const product_id = await numberFor(body, "products");
+  const { product_name, category, price, quantity_stock, supplier_id } = body;
+  await dbRun(
+    `INSERT INTO products
+     (product_id,product_name,category,price,quantity_stock,supplier_id,reorder_level,reorder_qty,tax_rate)
+     VALUES (?,?,?,?,0,?,?,?,?)`,
+    [
+      product_id,
+      product_name,
+      category,
+      price || 0,
+      supplier_id,
+      optionalInt(body.reorder_level),
+      optionalInt(body.reorder_qty),
+      optionalRate(body.tax_rate),
+    ]
+  );
+  if (Number(quantity_stock)) {
+    await moveStock(product_id, Number(quantity_stock), "opening", { reason: "Quantity entered with new product" });
+  }
+  return { id: product_id };
+}
+
+// Editing quantity_stock on the product form is posted as a stock adjustment
+async function updateProduct(id, body) {
+  const given = (field) => ![undefined, null, ""].includes(body[field]);
+  const product = await dbGet("SELECT * FROM products WHERE product_id = ?", [id]);
+  if (!product) throw httpError(404, "Not found");
+  await dbRun(
+    `UPDATE products
+     SET product_name = ?, category = ?, price = ?, supplier_id = ?, reorder_level = ?, reorder_qty = ?, tax_rate = ?
+     WHERE product_id = ?`,
+    [
+      body.product_name || product.product_name,
+      body.category !== undefined ? body.category : product.category,
+      given("price") ? Number(body.price) : product.price,
+      body.supplier_id !== undefined ? body.supplier_id || null : product.supplier_id,
+      body.reorder_level !== undefined ? optionalInt(body.reorder_level) : product.reorder_level,
+      body.reorder_qty !== undefined ? optionalInt(body.reorder_qty) : product.reorder_qty,
+      body.tax_rate !== undefined ? optionalRate(body.tax_rate) : product.tax_rate,
+      id,
+    ]
+  );
+  if (given("quantity_stock") && Number(body.quantity_stock) !== product.quantity_stock) {
+    await moveStock(id, Number(body.quantity_stock) - product.quantity_stock, "adjustment", {
+      reason: body.adjustment_reason || "Quantity edited on product form",
+    });
+  }
+  return {};
+}
+
+app.post("/api/products", productRules, handleValidation, async (req, res) => {
+  try {
+    const { id } = await auditedTransaction(req, () => createProduct(req.body));
+    res.status(201).json({ message: "Product added", id });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+app.put(
+  "/api/products/:id",
+  [
+    param("id").isString(),
+    body("product_name").optional().isString().notEmpty(),
+    body("price").optional({ checkFalsy: true }).isFloat({ min: 0 }),
+    body("quantity_stock").optional({ checkFalsy: true }).isInt({ min: 0 }),
+    body("tax_rate").optional({ checkFalsy: true }).isFloat({ min: 0, max: 100 }),
+    ...reorderRules,
+  ],
+  handleValidation,
+  async (req, res) => {
+    try {
+      await auditedTransaction(req, () => updateProduct(req.params.id, req.body));
+      res.json({ message: "Updated" });
+    } catch (err) {
+      sendError(res, err);
+    }
+  }
+);
+
+/**
+ * Products at or below their reorder point, with a suggested order quantity
+ * (reorder_qty, or enough to get back to twice the reorder level) less what is
+ * already on open purchase orders. Suggestions are grouped into draft orders
+ * per supplier, priced at the last cost paid.
+ */
+app.get("/api/reports/low-stock", async (req, res) => {
+  try {
+    const items = await dbAll(
+      `SELECT p.product_id, p.product_name, p.category, p.quantity_stock, p.reorder_level, p.reorder_qty,
+              p.supplier_id, s.supplier_name,
+              (SELECT COALESCE(SUM(l.quantity_ordered - l.quantity_received), 0)
+               FROM purchase_order_lines l JOIN purchase_orders po ON po.po_id = l.po_id
+               WHERE l.product_id = p.product_id AND po.status IN ('open','partial')) AS on_order,
+              (SELECT l.unit_cost
+               FROM purchase_order_lines l JOIN purchase_orders po ON po.po_id = l.po_id
+               WHERE l.product_id = p.product_id AND po.status <> 'cancelled'
+               ORDER BY po.order_date DESC LIMIT 1) AS last_unit_cost
+       FROM products p LEFT JOIN suppliers s ON s.supplier_id = p.supplier_id
+       WHERE p.reorder_level IS NOT NULL AND p.quantity_stock <= p.reorder_level AND p.deleted_at IS NULL
+       ORDER BY p.quantity_stock - p.reorder_level, p.product_name`
+    );
+
+    const drafts = new Map();
+    items.forEach((item) => {
+      const target = item.reorder_qty || Math.max(item.reorder_level * 2 - item.quantity_stock, 1);
+      item.suggested_qty = Math.max(0, target - item.on_order);
+      if (!item.suggested_qty) return;
+      const key = item.supplier_id || "";
+      if (!drafts.has(key)) {
+        drafts.set(key, {
+          supplier_id: item.supplier_id || null,
+          supplier_name: item.supplier_name || null,
+          lines: [],
+          total_cost: 0,
+        });
+      }
+      const draft = drafts.get(key);
+      draft.lines.push({
+        product_id: item.product_id,
+        product_name: item.product_name,
+        quantity: item.suggested_qty,
+        unit_cost: item.last_unit_cost,
+      });
+      draft.total_cost = roundMoney(draft.total_cost + item.suggested_qty * (item.last_unit_cost || 0));
+    });
+
+    res.json({ count: items.length, items, draft_orders: [...drafts.values()] });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+/* ----------------------------
+   ROUTES: Stock
+   ---------------------------- */
+app.get("/api/stock", listRules, handleValidation, (req, res) =>
+  sendList(req, res, {
+    base: `SELECT s.*, p.product_name
+           FROM stock s LEFT JOIN products p ON s.product_id = p.product_id`,
+    sortable: ["date_added", "stock_id", "product_id", "supplier_id", "quantity", "unit_cost"],
+    defaultSort: "date_added",
+    defaultOrder: "desc",
+    search: ["stock_id", "product_id", "product_name", "supplier_id", "po_id"],
+    filters: {
+      product_id: ["product_id", "="],
+      supplier_id: ["supplier_id", "="],
+      po_id: ["po_id", "="],
+      from: ["date_added", ">="],
+      to: ["date_added", "<="],
+    },
+  })
+);
+
+// A blank unit cost leaves the intake to be valued at the product's other costs
+function optionalCost(value) {
+  return value === undefined || value === null || value === "" ? null : roundMoney(value);
+}
+
+// Manual stock intake: the intake row and the product quantity move together
+const stockRules = [
+  body("stock_id").optional({ checkFalsy: true }).isString(),
+  body("product_id").isString().notEmpty(),
+  body("supplier_id").optional({ checkFalsy: true }).isString(),
+  body("quantity").isInt({ min: 1 }),
+  body("unit_cost").optional({ checkFalsy: true }).isFloat({ min: 0 }),
+  body("date_added").optional({ checkFalsy: true }).isISO8601(),
+];
+
+async function createStock(body) {
+  const stock_id = await numberFor(body, "stock");
+  const { product_id, supplier_id } = body;
+  await dbRun(
+    `INSERT INTO stock (stock_id,supplier_id,product_id,quantity,date_added,unit_cost)
+     VALUES (?,?,?,?,?,?)`,
+    [
+      stock_id,
+      supplier_id || null,
+      product_id,
+      Number(body.quantity),
+      body.date_added || today(),
+      optionalCost(body.unit_cost),
+    ]
+  );
+  await moveStock(product_id, Number(body.quantity), "receipt", { reason: "Stock intake", ref: stock_id });
+  return { id: stock_id };
+}
+
+app.post("/api/stock", stockRules, handleValidation, async (req, res) => {
+  try {
+    const { id } = await auditedTransaction(req, () => createStock(req.body));
+    res.status(201).json({ message: "Stock added", id });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+app.get("/api/stock/:id", (req, res) => {
+  db.get(
+    `SELECT s.*, p.product_name
+     FROM stock s LEFT JOIN products p ON s.product_id = p.product_id
+     WHERE s.stock_id = ?`,
+    [req.params.id],
+    (err, row) => {
+      if (err) return res.status(500).json({ error: err.message });
+      if (!row) return res.status(404).json({ message: "Stock entry not found" });
+      res.json(row);
+    }
+  );
+});
+
+// Intake rows booked against a purchase order are corrected on the order
+async function loadManualIntake(stockId) {
+  const entry = await dbGet("SELECT * FROM stock WHERE stock_id = ?", [stockId]);
+  if (!entry) throw httpError(404, "Not found");
+  if (entry.po_id) throw httpError(409, `${stockId} was received against purchase order ${entry.po_id}`);
+  return entry;
+}
+
+// Changing the quantity or product of an intake posts correcting movements
+async function updateStock(id, body) {
+  const entry = await loadManualIntake(id);
+  const productId = body.product_id || entry.product_id;
+  const quantity = body.quantity ? Number(body.quantity) : entry.quantity;
+  await dbRun(
+    "UPDATE stock SET product_id = ?, supplier_id = ?, quantity = ?, date_added = ?, unit_cost = ? WHERE stock_id = ?",
+    [
+      productId,
+      body.supplier_id !== undefined ? body.supplier_id || null : entry.supplier_id,
+      quantity,
+      body.date_added || entry.date_added,
+      body.unit_cost !== undefined ? optionalCost(body.unit_cost) : entry.unit_cost,
+      id,
+    ]
+  );
+  const reason = `Stock intake ${id} edited`;
+  if (productId !== entry.product_id) {
+    await moveStock(entry.product_id, -entry.quantity, "adjustment", { reason, ref: id });
+    await moveStock(productId, quantity, "receipt", { reason, ref: id });
+  } else if (quantity !== entry.quantity) {
+    await moveStock(productId, quantity - entry.quantity, "adjustment", { reason, ref: id });
+  }
+  return {};
+}
+
+app.put(
+  "/api/stock/:id",
+  [
+    param("id").isString(),
+    body("product_id").optional({ checkFalsy: true }).isString(),
+    body("supplier_id").optional({ checkFalsy: true }).isString(),
+    body("quantity").optional({ checkFalsy: true }).isInt({ min: 1 }),
+    body("unit_cost").optional({ checkFalsy: true }).isFloat({ min: 0 }),
+    body("date_added").optional({ checkFalsy: true }).isISO8601(),
+  ],
+  handleValidation,
+  async (req, res) => {
+    try {
+      await auditedTransaction(req, () => updateStock(req.params.id, req.body));
+      res.json({ message: "Updated" });
+    } catch (err) {
+      sendError(res, err);
+    }
+  }
+);
+
+/* ----------------------------
+   ROUTES: Purchase orders
+   ---------------------------- */
+// Order status follows what has been received: open -> partial -> received
+function purchaseOrderStatus(lines) {
+  const received = lines.reduce((sum, l) => sum + l.quantity_received, 0);
+  if (received === 0) return "open";
+  return lines.every((l) => l.quantity_received >= l.quantity_ordered) ? "received" : "partial";
+}
+
+async function loadPurchaseOrder(poId) {
+  const order = await dbGet(
+    `SELECT po.*, s.supplier_name FROM purchase_orders po
+     LEFT JOIN suppliers s ON s.supplier_id = po.supplier_id
+     WHERE po.po_id = ?`,
+    [poId]
+  );
+  if (!order) throw httpError(404, "Purchase order not found");
+  order.lines = await dbAll(
+    `SELECT l.*, p.product_name FROM purchase_order_lines l
+     LEFT JOIN products p ON p.product_id = l.product_id
+     WHERE l.po_id = ? ORDER BY l.product_id`,
+    [poId]
+  );
+  order.total_cost = roundMoney(order.lines.reduce((sum, l) => sum + l.quantity_ordered * l.unit_cost, 0));
+  return order;
+}
+
+app.get("/api/purchase-orders", listRules, handleValidation, (req, res) =>
+  sendList(req, res, {
+    base: `SELECT po.*, s.supplier_name,
+                  COUNT(l.product_id) AS line_count,
+                  COALESCE(SUM(l.quantity_ordered * l.unit_cost), 0) AS total_cost,
+                  COALESCE(SUM(l.quantity_ordered), 0) AS quantity_ordered,
+                  COALESCE(SUM(l.quantity_received), 0) AS quantity_received
+           FROM purchase_orders po
+           LEFT JOIN suppliers s ON s.supplier_id = po.supplier_id
+           LEFT JOIN purchase_order_lines l ON l.po_id = po.po_id
+           GROUP BY po.po_id`,
+    archivable: false,
+    sortable: ["order_date", "po_id", "supplier_id", "status", "total_cost"],
+    defaultSort: "order_date",
+    defaultOrder: "desc",
+    search: ["po_id", "supplier_id", "supplier_name", "notes"],
+    filters: {
+      supplier_id: ["supplier_id", "="],
+      status: ["status", "="],
+      from: ["order_date", ">="],
+      to: ["order_date", "<="],
+    },
+  })
+);
+
+app.get("/api/purchase-orders/:id", async (req, res) => {
+  try {
+    res.json(await loadPurchaseOrder(req.params.id));
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+app.post(
+  "/api/purchase-orders",
+  [
+    body("po_id").optional({ checkFalsy: true }).isString(),
+    body("supplier_id").isString().notEmpty(),
+    body("order_date").optional({ checkFalsy: true }).isISO8601(),
+    body("notes").optional().isString(),
+    body("lines").isArray({ min: 1 }),
+    body("lines.*.product_id").isString().notEmpty(),
+    body("lines.*.quantity").isInt({ min: 1 }),
+    body("lines.*.unit_cost").isFloat({ min: 0 }),
+  ],
+  handleValidation,
+  async (req, res) => {
+    const { supplier_id, lines } = req.body;
+    const products = lines.map((l) => l.product_id);
+    if (new Set(products).size !== products.length) {
+      return res.status(400).json({ error: "Each product may appear only once per order" });
+    }
+    try {
+      const { id } = await auditedTransaction(req, async () => {
+        const supplier = await dbGet("SELECT supplier_id FROM suppliers WHERE supplier_id = ?", [supplier_id]);
+        if (!supplier) throw httpError(400, `Supplier ${supplier_id} does not exist`);
+        const po_id = await numberFor(req.body, "purchase-orders");
+        await dbRun(
+          "INSERT INTO purchase_orders (po_id,supplier_id,order_date,status,notes) VALUES (?,?,?,'open',?)",
+          [po_id, supplier_id, req.body.order_date || today(), req.body.notes || null]
+        );
+        for (const line of lines) {
+          const product = await dbGet("SELECT product_id FROM products WHERE product_id = ?", [line.product_id]);
+          if (!product) throw httpError(400, `Product ${line.product_id} does not exist`);
+          await dbRun(
+            `INSERT INTO purchase_order_lines (po_id,product_id,quantity_ordered,quantity_received,unit_cost)
+             VALUES (?,?,?,0,?)`,
+            [po_id, line.product_id, Number(line.quantity), roundMoney(line.unit_cost)]
+          );
+        }
+        return { id: po_id };
+      });
+      res.status(201).json({ message: "Purchase order created", id });
+    } catch (err) {
+      sendError(res, err);
+    }
+  }
+);
+
+/**
+ * Goods receipt against a purchase order. Without `lines` everything still
+ * outstanding is received. Each received line becomes a stock intake row and
+ * raises the product's quantity in the same transaction.
+ */
+app.post(
+  "/api/purchase-orders/:id/receipts",
+  [
+    param("id").isString(),
+    body("date").optional({ checkFalsy: true }).isISO8601(),
+    body("lines").optional().isArray({ min: 1 }),
+    body("lines.*.product_id").isString().notEmpty(),
+    body("lines.*.quantity").isInt({ min: 0 }),
+  ],
+  handleValidation,
+  async (req, res) => {
+    const date = req.body.date || today();
+    try {
+      const result = await auditedTransaction(req, async () => {
+        const order = await loadPurchaseOrder(req.params.id);
+        if (order.status === "cancelled") throw httpError(409, "Purchase order is cancelled");
+        if (order.status === "received") throw httpError(409, "Purchase order is already fully received");
+
+        const requested = req.body.lines
+          ? req.body.lines.filter((l) => Number(l.quantity) > 0)
+          : order.lines.map((l) => ({ product_id: l.product_id, quantity: l.quantity_ordered - l.quantity_received }));
+        if (!requested.length) throw httpError(400, "Nothing to receive");
+
+        const received = [];
+        for (const item of requested) {
+          const line = order.lines.find((l) => l.product_id === item.product_id);
+          if (!line) throw httpError(400, `Product ${item.product_id} is not on this order`);
+          const quantity = Number(item.quantity);
+          const outstanding = line.quantity_ordered - line.quantity_received;
+          if (quantity > outstanding) {
+            throw httpError(409, `${item.product_id}: ${quantity} received but only ${outstanding} outstanding`);
+          }
+          if (quantity === 0) continue;
+
+          const stock_id = await allocateNumber("goods-receipts");
+          await dbRun(
+            `INSERT INTO stock (stock_id,supplier_id,product_id,quantity,date_added,po_id,unit_cost)
+             VALUES (?,?,?,?,?,?,?)`,
+            [stock_id, order.supplier_id, line.product_id, quantity, date, order.po_id, line.unit_cost]
+          );
+          await moveStock(line.product_id, quantity, "receipt", { reason: `Goods receipt for ${order.po_id}`, ref: stock_id });
+          await dbRun(
+            "UPDATE purchase_order_lines SET quantity_received = quantity_received + ? WHERE po_id = ? AND product_id = ?",
+            [quantity, order.po_id, line.product_id]
+          );
+          line.quantity_received += quantity;
+          received.push({ stock_id, product_id: line.product_id, quantity });
+        }
+
+        const status = purchaseOrderStatus(order.lines);
+        await dbRun("UPDATE purchase_orders SET status = ? WHERE po_id = ?", [status, order.po_id]);
+        return { status, received };
+      });
+      res.status(201).json({ message: "Goods received", id: req.params.id, ...result });
+    } catch (err) {
+      sendError(res, err);
+    }
+  }
+);
+
+app.post("/api/purchase-orders/:id/cancel", async (req, res) => {
+  try {
+    await auditedTransaction(req, async () => {
+      const order = await loadPurchaseOrder(req.params.id);
+      if (order.status !== "open") throw httpError(409, `Only open orders can be cancelled (this one is ${order.status})`);
+      await dbRun("UPDATE purchase_orders SET status = 'cancelled' WHERE po_id = ?", [order.po_id]);
+    });
+    res.json({ message: "Purchase order cancelled" });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+/* ----------------------------
+   Interest engine
+   ---------------------------- */
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+function daysBetween(from, to) {
+  return Math.max(0, Math.round((Date.parse(to) - Date.parse(from)) / DAY_MS));
+}
+
+function addMonths(isoDate, months) {
+  const d = new Date(isoDate + "T00:00:00Z");
+  const day = d.getUTCDate();
+  d.setUTCDate(1);
+  d.setUTCMonth(d.getUTCMonth() + months);
+  const lastDay = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + 1, 0)).getUTCDate();
+  d.setUTCDate(Math.min(day, lastDay));
+  return d.toISOString().slice(0, 10);
+}
+
+function addDays(isoDate, days) {
+  return new Date(Date.parse(isoDate) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+// Whole months from one date to another, at least one
+function monthsBetween(from, to) {
+  return Math.max(1, Math.ceil(daysBetween(from, to) / 30));
+}
+
+// Loans created before disbursement dates were recorded start at their first payment
+function disbursedOn(loan, payments) {
+  if (loan.disbursed_on) return loan.disbursed_on;
+  const dates = payments.map((p) => p.payment_date).filter(Boolean).sort();
+  return dates[0] || today();
+}
+
+// Interest earned over `days`. Simple interest only ever accrues on principal;
+// compound interest compounds monthly on principal plus unpaid interest.
+function interestFor(loan, principal, unpaid, days) {
+  const rate = (Number(loan.interest_rate) || 0) / 100;
+  if (!rate || !days) return 0;
+  if (loan.interest_type === "compound") {
+    return (principal + unpaid) * (Math.pow(1 + rate / 12, (days / 365) * 12) - 1);
+  }
+  return principal * rate * (days / 365);
+}
+
+/**
+ * Replays a loan from disbursement up to `asOf`. Interest accrues on the
+ * outstanding principal between events and every payment settles accrued
+ * interest first, then principal. `draws` are later top-ups already counted in
+ * loan_amount (credit purchases added to an open loan); they only start
+ * accruing from their own date. Returns the position on `asOf` together with
+ * how each payment was split.
+ */
+function accrueLoan(loan, payments, asOf = today(), draws = []) {
+  const start = disbursedOn(loan, payments);
+  const drawn = draws.reduce((sum, d) => sum + (Number(d.amount) || 0), 0);
+  const events = [
+    ...draws.map((d) => ({ date: d.date || start, draw: Number(d.amount) || 0 })),
+    ...payments.map((p) => ({ date: p.payment_date || start, payment: p })),
+  ]
+    .filter((e) => e.date <= asOf)
+    .sort(
+      (a, b) =>
+        a.date.localeCompare(b.date) ||
+        (a.payment ? 1 : 0) - (b.payment ? 1 : 0) ||
+        (a.payment ? a.payment.pay_id.localeCompare(b.payment.pay_id) : 0)
+    );
+
+  let principal = (Number(loan.loan_amount) || 0) - drawn;
+  let unpaid = 0;
+  let interestPaid = 0;
+  let from = start;
+  const allocations = [];
+
+  events.forEach((e) => {
+    const on = e.date > from ? e.date : from;
+    unpaid += interestFor(loan, principal, unpaid, daysBetween(from, on));
+    from = on;
+    if (!e.payment) {
+      principal += e.draw;
+      return;
+    }
+    const p = e.payment;
+    const amount = Number(p.amount_paid) || 0;
+    const interestPart = Math.min(amount, roundMoney(unpaid));
+    unpaid = Math.max(0, unpaid - interestPart);
+    principal -= amount - interestPart;
+    interestPaid += interestPart;
+    allocations.push({
+      pay_id: p.pay_id,
+      interest_part: roundMoney(interestPart),
+      principal_part: roundMoney(amount - interestPart),
+    });
+  });
+  if (asOf > from) unpaid += interestFor(loan, principal, unpaid, daysBetween(from, asOf));
+
+  return {
+    as_of: asOf,
+    disbursed_on: start,
+    principal_outstanding: roundMoney(principal),
+    accrued_interest: roundMoney(unpaid),
+    interest_paid: roundMoney(interestPaid),
+    amount_due: roundMoney(principal + unpaid),
+    allocations,
+  };
+}
+
+/**
+ * EMI table for the loan's tenure. Simple-interest loans use a flat rate (the
+ * same interest every month); compound loans use a reducing-balance EMI.
+ */
+function amortize(loan, start) {
+  const n = Number(loan.tenure_months) || 12;
+  const principal = Number(loan.loan_amount) || 0;
+  const rate = (Number(loan.interest_rate) || 0) / 100;
+  const installments = [];
+
+  if (loan.interest_type === "compound") {
+    const r = rate / 12;
+    const emi = r ? (principal * r * Math.pow(1 + r, n)) / (Math.pow(1 + r, n) - 1) : principal / n;
+    let balance = principal;
+    for (let i = 1; i <= n; i++) {
+      const interest = roundMoney(balance * r);
+      const principalPart = i === n ? roundMoney(balance) : roundMoney(emi - interest);
+      balance = roundMoney(balance - principalPart);
+      installments.push({
+        installment: i,
+        due_date: addMonths(start, i),
+        emi: roundMoney(principalPart + interest),
+        principal: principalPart,
+        interest,
+        balance,
+      });
+    }
+  } else {
+    const totalInterest = roundMoney(principal * rate * (n / 12));
+    let balance = principal;
+    let interestLeft = totalInterest;
+    for (let i = 1; i <= n; i++) {
+      const principalPart = i === n ? roundMoney(balance) : roundMoney(principal / n);
+      const interest = i === n ? roundMoney(interestLeft) : roundMoney(totalInterest / n);
+      balance = roundMoney(balance - principalPart);
+      interestLeft = roundMoney(interestLeft - interest);
+      installments.push({
+        installment: i,
+        due_date: addMonths(start, i),
+        emi: roundMoney(principalPart + interest),
+        principal: principalPart,
+        interest,
+        balance,
+      });
+    }
+  }
+
+  const totalInterest = roundMoney(installments.reduce((sum, row) => sum + row.interest, 0));
+  return {
+    tenure_months: n,
+    emi: installments.length ? installments[0].emi : 0,
+    total_interest: totalInterest,
+    total_payable: roundMoney(principal + totalInterest),
+    installments,
+  };
+}
+
+// Loan row plus everything the interest engine replays
+async function loadLoan(loanId) {
+  const loan = await dbGet("SELECT * FROM loans WHERE loan_id = ?", [loanId]);
+  if (!loan) throw httpError(404, "Loan not found");
+  const payments = await dbAll("SELECT * FROM payments WHERE loan_id = ? AND deleted_at IS NULL", [loanId]);
+  const draws = await dbAll(
+    "SELECT date, credit_amount AS amount FROM invoices WHERE loan_id = ? AND credit_amount > 0 AND deleted_at IS NULL",
+    [loanId]
+  );
+  return { loan, payments, draws };
+}
+
+// Recomputes a loan's balance from its payments (inside a transaction) and
+// stores how each payment was split between interest and principal.
+async function syncLoanBalance(loanId) {
+  const { loan, payments, draws } = await loadLoan(loanId);
+  const lastPayment = payments.map((p) => p.payment_date).filter(Boolean).sort().pop();
+  const position = accrueLoan(loan, payments, lastPayment > today() ? lastPayment : today(), draws);
+  if (position.principal_outstanding < 0) {
+    throw httpError(409, "Payments would exceed the amount owed on this loan");
+  }
+
+  for (const a of position.allocations) {
+    await dbRun("UPDATE payments SET interest_part = ?, principal_part = ? WHERE pay_id = ?", [
+      a.interest_part,
+      a.principal_part,
+      a.pay_id,
+    ]);
+  }
+  await dbRun("UPDATE loans SET balance = ?, status = ? WHERE loan_id = ?", [
+    position.principal_outstanding,
+    position.principal_outstanding === 0 ? "closed" : "open",
+    loanId,
+  ]);
+  return position;
+}
+
+/* ----------------------------
+   ROUTES: Loans, Invoices, Payments
+   ---------------------------- */
+app.get("/api/loans", listRules, handleValidation, (req, res) =>
+  sendList(req, res, {
+    base: "SELECT * FROM loans",
+    sortable: ["loan_id", "cust_id", "loan_amount", "interest_rate", "balance", "disbursed_on", "due_date", "status"],
+    defaultSort: "loan_id",
+    defaultOrder: "desc",
+    search: ["loan_id", "cust_id", "invoice_id"],
+    filters: {
+      cust_id: ["cust_id", "="],
+      status: ["status", "="],
+      interest_type: ["interest_type", "="],
+      due_from: ["due_date", ">="],
+      due_to: ["due_date", "<="],
+    },
+  })
+);
+
+app.get("/api/loans/:id", (req, res) => {
+  db.get("SELECT * FROM loans WHERE loan_id = ?", [req.params.id], (err, row) => {
+    if (err) return res.status(500).json({ error: err.message });
+    if (!row) return res.status(404).json({ message: "Loan not found" });
+    res.json(row);
+  });
+});
+
+// Repayment schedule plus what the customer owes today (or on ?as_of=)
+app.get(
+  "/api/loans/:id/schedule",
+  [param("id").isString(), query("as_of").optional().isISO8601()],
+  handleValidation,
+  async (req, res) => {
+    try {
+      const { loan, payments, draws } = await loadLoan(req.params.id);
+      const position = accrueLoan(loan, payments, req.query.as_of || today(), draws);
+      const schedule = amortize(loan, position.disbursed_on);
+      res.json({
+        loan_id: loan.loan_id,
+        cust_id: loan.cust_id,
+        loan_amount: loan.loan_amount,
+        interest_rate: loan.interest_rate,
+        interest_type: loan.interest_type || "simple",
+        disbursed_on: position.disbursed_on,
+        ...schedule,
+        position: {
+          as_of: position.as_of,
+          principal_outstanding: position.principal_outstanding,
+          accrued_interest: position.accrued_interest,
+          interest_paid: position.interest_paid,
+          amount_due: position.amount_due,
+        },
+        payments: position.allocations,
+      });
+    } catch (err) {
+      sendError(res, err);
+    }
+  }
+);
+
+const loanTermRules = [
+  body("interest_rate").optional({ checkFalsy: true }).isFloat({ min: 0 }),
+  body("interest_type").optional({ checkFalsy: true }).isIn(["simple", "compound"]),
+  body("disbursed_on").optional({ checkFalsy: true }).isISO8601(),
+  body("tenure_months").optional({ checkFalsy: true }).isInt({ min: 1, max: 600 }),
+  body("due_date").optional({ checkFalsy: true }).isISO8601(),
+];
+
+// The balance always starts at the full loan amount; only payments move it after that.
+const loanRules = [
+  body("loan_id").optional({ checkFalsy: true }).isString(),
+  body("cust_id").isString().notEmpty(),
+  body("loan_amount").isFloat({ gt: 0 }),
+  ...loanTermRules,
+];
+
+async function createLoan(body) {
+  const { cust_id, loan_amount, interest_rate, interest_type, disbursed_on, tenure_months, due_date } = body;
+  const customer = await dbGet("SELECT cust_id, deleted_at FROM customers WHERE cust_id = ?", [cust_id]);
+  if (!customer) throw httpError(400, `Customer ${cust_id} does not exist`);
+  if (customer.deleted_at) throw httpError(400, `Customer ${cust_id} is archived`);
+  await assertCreditAvailable(cust_id, roundMoney(loan_amount));
+  const loan_id = await numberFor(body, "loans");
+  await dbRun(
+    `INSERT INTO loans (loan_id,cust_id,loan_amount,interest_rate,balance,status,
+                        interest_type,disbursed_on,tenure_months,due_date)
+     VALUES (?,?,?,?,?,'open',?,?,?,?)`,
+    [
+      loan_id,
+      cust_id,
+      roundMoney(loan_amount),
+      Number(interest_rate) || 0,
+      roundMoney(loan_amount),
+      interest_type || "simple",
+      disbursed_on || today(),
+      Number(tenure_months) || 12,
+      due_date || addMonths(disbursed_on || today(), Number(tenure_months) || 12),
+    ]
+  );
+  return { id: loan_id };
+}
+
+// Terms can change after disbursement; the balance is then recomputed from the
+// payments already recorded. The balance itself is not editable.
+async function updateLoan(id, body) {
+  const given = (field) => ![undefined, null, ""].includes(body[field]);
+  const loan = await dbGet("SELECT * FROM loans WHERE loan_id = ?", [id]);
+  if (!loan) throw httpError(404, "Loan not found");
+
+  const custId = body.cust_id || loan.cust_id;
+  if (custId !== loan.cust_id) {
+    const customer = await dbGet("SELECT cust_id FROM customers WHERE cust_id = ?", [custId]);
+    if (!customer) throw httpError(400, `Customer ${custId} does not exist`);
+    await assertCreditAvailable(custId, loan.balance);
+  }
+  if (given("loan_amount") && roundMoney(body.loan_amount) > loan.loan_amount) {
+    await assertCreditAvailable(custId, roundMoney(body.loan_amount - loan.loan_amount));
+  }
+
+  await dbRun(
+    `UPDATE loans SET cust_id = ?, loan_amount = ?, interest_rate = ?, interest_type = ?,
+            disbursed_on = ?, tenure_months = ?, due_date = ?
+     WHERE loan_id = ?`,
+    [
+      custId,
+      given("loan_amount") ? roundMoney(body.loan_amount) : loan.loan_amount,
+      given("interest_rate") ? Number(body.interest_rate) : loan.interest_rate,
+      body.interest_type || loan.interest_type,
+      body.disbursed_on || loan.disbursed_on,
+      given("tenure_months") ? Number(body.tenure_months) : loan.tenure_months,
+      body.due_date || loan.due_date,
+      id,
+    ]
+  );
+  await syncLoanBalance(id);
+  return {};
+}
+
+app.post("/api/loans", loanRules, handleValidation, async (req, res) => {
+  try {
+    const { id } = await auditedTransaction(req, () => createLoan(req.body));
+    res.status(201).json({ message: "Loan created", id });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+app.put(
+  "/api/loans/:id",
+  [
+    param("id").isString(),
+    body("cust_id").optional().isString().notEmpty(),
+    body("loan_amount").optional({ checkFalsy: true }).isFloat({ gt: 0 }),
+    ...loanTermRules,
+  ],
+  handleValidation,
+  async (req, res) => {
+    try {
+      await auditedTransaction(req, () => updateLoan(req.params.id, req.body));
+      res.json({ message: "Updated" });
+    } catch (err) {
+      sendError(res, err);
+    }
+  }
+);
+
+app.get("/api/payments", listRules, handleValidation, (req, res) =>
+  sendList(req, res, {
+    base: "SELECT * FROM payments",
+    sortable: ["payment_date", "pay_id", "loan_id", "amount_paid", "payment_mode"],
+    defaultSort: "payment_date",
+    defaultOrder: "desc",
+    search: ["pay_id", "loan_id", "payment_mode"],
+    filters: {
+      loan_id: ["loan_id", "="],
+      payment_mode: ["payment_mode", "="],
+      from: ["payment_date", ">="],
+      to: ["payment_date", "<="],
+    },
+  })
+);
+
+// A repayment settles accrued interest first, then principal. The payment and
+// the new balance are written together.
+const paymentRules = [
+  body("pay_id").optional({ checkFalsy: true }).isString(),
+  body("loan_id").isString().notEmpty(),
+  body("amount_paid").isFloat({ gt: 0 }),
+  body("payment_date").optional({ checkFalsy: true }).isISO8601(),
+  body("payment_mode").optional().isString(),
+];
+
+async function createPayment(body) {
+  const { loan_id, payment_mode } = body;
+  const paymentDate = body.payment_date || today();
+  const amount = roundMoney(body.amount_paid);
+  const { loan, payments, draws } = await loadLoan(loan_id);
+  if (loan.status === "closed") throw httpError(409, "Loan is already closed");
+
+  const due = accrueLoan(loan, payments, paymentDate, draws).amount_due;
+  if (amount > due) {
+    throw httpError(409, `Payment of ${amount} exceeds amount due of ${due} on ${paymentDate}`);
+  }
+
+  const pay_id = await numberFor(body, "payments");
+  await dbRun(
+    `INSERT INTO payments (pay_id,loan_id,payment_date,amount_paid,payment_mode)
+     VALUES (?,?,?,?,?)`,
+    [pay_id, loan_id, paymentDate, amount, payment_mode || "Cash"]
+  );
+  const position = await syncLoanBalance(loan_id);
+  const split = position.allocations.find((a) => a.pay_id === pay_id);
+  return { id: pay_id, balance: position.principal_outstanding, ...split };
+}
+
+app.post("/api/payments", paymentRules, handleValidation, async (req, res) => {
+  try {
+    const payment = await auditedTransaction(req, () => createPayment(req.body));
+    res.status(201).json({ message: "Payment recorded", ...payment });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+app.get("/api/payments/:id", (req, res) => {
+  db.get("SELECT * FROM payments WHERE pay_id = ?", [req.params.id], (err, row) => {
+    if (err) return res.status(500).json({ error: err.message });
+    if (!row) return res.status(404).json({ message: "Payment not found" });
+    res.json(row);
+  });
+});
+
+// Credit notes settle loans through payment rows; those follow the return
+async function loadEditablePayment(payId) {
+  const payment = await dbGet("SELECT * FROM payments WHERE pay_id = ?", [payId]);
+  if (!payment) throw httpError(404, "Not found");
+  const note = await dbGet("SELECT return_id FROM sales_returns WHERE return_id = ?", [payId]);
+  if (note) throw httpError(409, `${payId} was issued by a credit note and cannot be changed`);
+  return payment;
+}
+
+// Editing or removing a payment re-runs the loan's accrual, so interest and
+// balance follow; a change that would overpay the loan is refused.
+async function updatePayment(id, body) {
+  const payment = await loadEditablePayment(id);
+  if (body.loan_id && body.loan_id !== payment.loan_id) {
+    throw httpError(400, "A payment cannot be moved to another loan; delete it and record it again");
+  }
+  await dbRun("UPDATE payments SET amount_paid = ?, payment_date = ?, payment_mode = ? WHERE pay_id = ?", [
+    body.amount_paid ? roundMoney(body.amount_paid) : payment.amount_paid,
+    body.payment_date || payment.payment_date,
+    body.payment_mode || payment.payment_mode,
+    payment.pay_id,
+  ]);
+  const position = await syncLoanBalance(payment.loan_id);
+  return { balance: position.principal_outstanding };
+}
+
+app.put(
+  "/api/payments/:id",
+  [
+    param("id").isString(),
+    body("amount_paid").optional({ checkFalsy: true }).isFloat({ gt: 0 }),
+    body("payment_date").optional({ checkFalsy: true }).isISO8601(),
+    body("payment_mode").optional().isString(),
+  ],
+  handleValidation,
+  async (req, res) => {
+    try {
+      const result = await auditedTransaction(req, () => updatePayment(req.params.id, req.body));
+      res.json({ message: "Updated", ...result });
+    } catch (err) {
+      sendError(res, err);
+    }
+  }
+);
+
+/* ----------------------------
+   Dashboard Summary
+   ---------------------------- */
+app.get("/api/summary", (req, res) => {
+  let summary = {};
+  db.get("SELECT COUNT(*) AS c FROM customers WHERE deleted_at IS NULL", (err, row) => {
+    if (err) return res.status(500).json({ error: err.message });
+    summary.totalCustomers = row.c;
+    db.get("SELECT COUNT(*) AS c FROM products WHERE deleted_at IS NULL", (err2, row2) => {
+      summary.totalProducts = row2.c;
+      db.get("SELECT COUNT(*) AS c FROM loans WHERE deleted_at IS NULL", (err3, row3) => {
+        summary.totalLoans = row3.c;
+        db.get("SELECT SUM(balance) AS s FROM loans WHERE deleted_at IS NULL", (err4, row4) => {
+          summary.pendingPayments = row4.s || 0;
+          receivablesAging(today())
+            .then((aging) => {
+              const overdue = aging.filter((c) => c.overdue > 0);
+              summary.overdueAmount = roundMoney(overdue.reduce((sum, c) => sum + c.overdue, 0));
+              summary.overdueCustomers = overdue.length;
+              res.json(summary);
+            })
+            .catch((err5) => res.status(500).json({ error: err5.message }));
+        });
+      });
+    });
+  });
+});
+
+/* ----------------------------
+   ROUTES: Sales reports
+   ---------------------------- */
+// What one unit of each product cost: the average over stock intake rows
+// with a unit cost. Products never taken in at a cost have none.
+const productCostsSql = `
+  SELECT product_id, SUM(quantity * unit_cost) / SUM(quantity) AS unit_cost
+  FROM stock
+  WHERE unit_cost IS NOT NULL AND quantity > 0 AND deleted_at IS NULL
+  GROUP BY product_id`;
+
+// Grouping column and display label per group_by; periods are keyed by their first day
+const salesGroups = {
+  day: { key: "l.date", label: "l.date", period: true },
+  week: { key: "date(l.date, '-6 days', 'weekday 1')", label: "date(l.date, '-6 days', 'weekday 1')", period: true },
+  month: { key: "substr(l.date, 1, 7)", label: "substr(l.date, 1, 7)", period: true },
+  product: { key: "l.product_id", label: "COALESCE(p.product_name, l.product_id)" },
+  category: { key: "COALESCE(p.category, 'Uncategorised')", label: "COALESCE(p.category, 'Uncategorised')" },
+  customer: { key: "COALESCE(l.cust_id, '')", label: "COALESCE(cu.cust_name, l.cust_id, 'Walk-in')" },
+};
+
+// ?from=&to= or else the month of `to` (default today) and the five before it
+function reportWindow(params) {
+  const to = params.to || today();
+  if (params.from) return { from: params.from, to };
+  const start = new Date(`${to.slice(0, 7)}-01T00:00:00Z`);
+  start.setUTCMonth(start.getUTCMonth() - 5);
+  return { from: start.toISOString().slice(0, 10), to };
+}
+
+// Every day, week or month key between two dates, so charts show empty periods
+function periodKeys(from, to, by) {
+  const keys = [];
+  const end = new Date(`${to}T00:00:00Z`);
+  const at = new Date(`${from}T00:00:00Z`);
+  if (by === "week") at.setUTCDate(at.getUTCDate() - ((at.getUTCDay() + 6) % 7));
+  if (by === "month") at.setUTCDate(1);
+  while (at <= end && keys.length < 1000) {
+    keys.push(by === "month" ? at.toISOString().slice(0, 7) : at.toISOString().slice(0, 10));
+    if (by === "day") at.setUTCDate(at.getUTCDate() + 1);
+    else if (by === "week") at.setUTCDate(at.getUTCDate() + 7);
+    else at.setUTCMonth(at.getUTCMonth() + 1);
+  }
+  return keys;
+}
+
+// Sales lines of invoices dated from..to, net of what came back on credit
+// notes, summed per group. Revenue is before tax. Margin only counts lines
+// whose product has a known cost; uncosted_revenue is the rest.
+async function salesTotals(group, from, to, { limit, orderBy = "revenue DESC" } = {}) {
+  const rows = await dbAll(
+    `WITH costs AS (${productCostsSql}),
+     lines AS (
+       SELECT s.product_id, s.invoice_id, s.quantity_sold, COALESCE(s.taxable_value, s.price_total) AS value,
+              i.date, i.cust_id,
+              s.quantity_sold - COALESCE((SELECT SUM(r.quantity) FROM sales_return_lines r WHERE r.sales_id = s.sales_id), 0)
+                AS quantity
+       FROM sales s JOIN invoices i ON i.invoice_id = s.invoice_id
+       WHERE s.deleted_at IS NULL AND i.deleted_at IS NULL AND i.date BETWEEN ? AND ? AND s.quantity_sold > 0
+     )
+     SELECT ${group.key} AS key, ${group.label} AS label,
+            SUM(l.quantity) AS quantity,
+            SUM(l.value * l.quantity / l.quantity_sold) AS revenue,
+            SUM(CASE WHEN c.unit_cost IS NULL THEN l.value * l.quantity / l.quantity_sold ELSE 0 END) AS uncosted_revenue,
+            SUM(l.quantity * c.unit_cost) AS cost,
+            COUNT(DISTINCT l.invoice_id) AS invoices
+     FROM lines l
+     LEFT JOIN products p ON p.product_id = l.product_id
+     LEFT JOIN customers cu ON cu.cust_id = l.cust_id
+     LEFT JOIN costs c ON c.product_id = l.product_id
+     GROUP BY 1
+     ORDER BY ${group.period ? "1" : orderBy}
+     ${limit ? "LIMIT ?" : ""}`,
+    [from, to, ...(limit ? [limit] : [])]
+  );
+  return rows.map(withMargin);
+}
+
+function withMargin(row) {
+  const costedRevenue = (row.revenue || 0) - (row.uncosted_revenue || 0);
+  const margin = costedRevenue - (row.cost || 0);
+  return {
+    ...row,
+    revenue: roundMoney(row.revenue || 0),
+    uncosted_revenue: roundMoney(row.uncosted_revenue || 0),
+    cost: roundMoney(row.cost || 0),
+    margin: roundMoney(margin),
+    margin_pct: costedRevenue ? Math.round((margin / costedRevenue) * 1000) / 10 : null,
+  };
+}
+
+// Cost and margin are finance figures; other staff see quantities and revenue
+function withoutCosts(row) {
+  const { cost, margin, margin_pct, uncosted_revenue, ...rest } = row;
+  return rest;
+}
+
+/**
+ * Sales for a period (default: this month and the five before it) grouped by
+ * day, week or month, or by product, category or customer, with the `top`
+ * best-selling products by quantity. Periods with no sales are included.
+ * Only finance roles get cost and margin, or sales by customer.
+ */
+app.get(
+  "/api/reports/sales",
+  [
+    query("from").optional({ checkFalsy: true }).isISO8601(),
+    query("to").optional({ checkFalsy: true }).isISO8601(),
+    query("group_by").optional({ checkFalsy: true }).isIn(Object.keys(salesGroups)),
+    query("top").optional({ checkFalsy: true }).isInt({ min: 1, max: 100 }),
+  ],
+  handleValidation,
+  async (req, res) => {
+    const { from, to } = reportWindow(req.query);
+    const groupBy = req.query.group_by || "month";
+    const top = Number(req.query.top) || 5;
+    const finance = financeRoles.includes(req.user.role);
+    if (from > to) return res.status(400).json({ error: "from must not be after to" });
+    if (groupBy === "customer" && !finance) {
+      return res.status(403).json({ error: "Sales by customer are only shown to finance roles" });
+    }
+    try {
+      let rows = await salesTotals(salesGroups[groupBy], from, to);
+      if (salesGroups[groupBy].period) {
+        const found = new Map(rows.map((r) => [r.key, r]));
+        rows = periodKeys(from, to, groupBy).map(
+          (key) => found.get(key) || withMargin({ key, label: key, quantity: 0, invoices: 0 })
+        );
+      }
+      const [totals = withMargin({ key: "all", label: "All sales", quantity: 0, invoices: 0 })] = await salesTotals(
+        { key: "'all'", label: "'All sales'" },
+        from,
+        to
+      );
+      const bestSellers = await salesTotals(salesGroups.product, from, to, {
+        limit: top,
+        orderBy: "quantity DESC, revenue DESC",
+      });
+      const shown = finance ? (row) => row : withoutCosts;
+      res.json({
+        from,
+        to,
+        group_by: groupBy,
+        rows: rows.map(shown),
+        totals: shown(totals),
+        best_sellers: bestSellers.map(shown),
+      });
+    } catch (err) {
+      sendError(res, err);
+    }
+  }
+);
+
+// Loan repayments per month for the same default window, split into principal
+// and interest; payments recorded before the split count as principal
+app.get(
+  "/api/reports/repayments",
+  [query("from").optional({ checkFalsy: true }).isISO8601(), query("to").optional({ checkFalsy: true }).isISO8601()],
+  handleValidation,
+  async (req, res) => {
+    const { from, to } = reportWindow(req.query);
+    try {
+      const rows = await dbAll(
+        `SELECT substr(payment_date, 1, 7) AS month, COUNT(*) AS payments, SUM(amount_paid) AS amount,
+                SUM(CASE WHEN COALESCE(principal_part, 0) + COALESCE(interest_part, 0) = 0 THEN amount_paid
+                         ELSE principal_part END) AS principal,
+                SUM(COALESCE(interest_part, 0)) AS interest
+         FROM payments
+         WHERE deleted_at IS NULL AND payment_date BETWEEN ? AND ?
+         GROUP BY 1`,
+        [from, to]
+      );
+      const found = new Map(rows.map((r) => [r.month, r]));
+      res.json({
+        from,
+        to,
+        rows: periodKeys(from, to, "month").map((month) => {
+          const r = found.get(month) || { payments: 0, amount: 0, principal: 0, interest: 0 };
+          return {
+            month,
+            payments: r.payments,
+            amount: roundMoney(r.amount),
+            principal: roundMoney(r.principal),
+            interest: roundMoney(r.interest),
+          };
+        }),
+      });
+    } catch (err) {
+      sendError(res, err);
+    }
+  }
+);
+
+/* ----------------------------
+   ROUTES: Valuation & profit
+   ---------------------------- */
+const valuationMethods = ["fifo", "average"];
+const defaultValuationMethod = valuationMethods.includes(process.env.VALUATION_METHOD)
+  ? process.env.VALUATION_METHOD
+  : "fifo";
+
+/**
+ * Replays the inventory ledger to cost every unit that moved. Receipts add
+ * stock at their intake row's unit_cost; goods taken out cost the oldest
+ * units first (fifo) or the running average cost (average). Movements whose
+ * ref is a sales line are that sale's cost of goods, and what comes back
+ * against it (returns, edits, archiving) re-enters at the cost it left at.
+ * Other removals are write-offs. Stock without a recorded cost (opening
+ * balances, adjustments, intake without unit_cost) is valued at the
+ * product's average intake cost, or counted as uncosted when it has none.
+ *
+ * Returns per-product { quantity, value, uncosted } on hand and per-sale
+ * { quantity, cost }, as of the end of `asOf` when given.
+ */
+async function valueInventory(method, { asOf = null } = {}) {
+  const movements = await dbAll(
+    `SELECT m.movement_id, m.product_id, m.quantity, m.kind, m.ref, m.created_at,
+            st.stock_id, st.unit_cost AS intake_cost, sa.sales_id
+     FROM inventory_movements m
+     LEFT JOIN stock st ON st.stock_id = m.ref AND st.product_id = m.product_id
+     LEFT JOIN sales sa ON sa.sales_id = m.ref
+     WHERE ? IS NULL OR m.created_at < date(?, '+1 day')
+     ORDER BY m.product_id, m.movement_id`,
+    [asOf, asOf]
+  );
+  const averageCosts = new Map((await dbAll(productCostsSql)).map((r) => [r.product_id, r.unit_cost]));
+
+  const products = new Map();
+  const sales = new Map();
+  let writeOffs = [];
+  const stateOf = (productId) => {
+    if (!products.has(productId)) products.set(productId, { layers: [], quantity: 0, value: 0, uncosted: 0 });
+    return products.get(productId);
+  };
+
+  // Adds units at a known cost, or as uncosted stock when cost is null
+  const receive = (state, quantity, cost) => {
+    if (cost === null || cost === undefined) {
+      state.uncosted += quantity;
+      return;
+    }
+    state.quantity += quantity;
+    state.value += quantity * cost;
+    if (method === "fifo") state.layers.push({ quantity, cost });
+  };
+
+  // Takes units out; returns what they cost and how many had a cost
+  const issue = (state, quantity) => {
+    let left = quantity;
+    let cost = 0;
+    if (method === "fifo") {
+      while (left > 0 && state.layers.length) {
+        const layer = state.layers[0];
+        const take = Math.min(left, layer.quantity);
+        cost += take * layer.cost;
+        layer.quantity -= take;
+        left -= take;
+        if (!layer.quantity) state.layers.shift();
+      }
+    } else if (state.quantity > 0) {
+      const take = Math.min(left, state.quantity);
+      cost += take * (state.value / state.quantity);
+      left -= take;
+    }
+    const costed = quantity - left;
+    state.quantity -= costed;
+    state.value = state.quantity ? state.value - cost : 0;
+    state.uncosted = Math.max(0, state.uncosted - left);
+    return [cost, costed];
+  };
+
+  movements.forEach((m) => {
+    const state = stateOf(m.product_id);
+    const fallback = averageCosts.has(m.product_id) ? averageCosts.get(m.product_id) : null;
+    if (m.sales_id && !m.stock_id) {
+      if (!sales.has(m.sales_id)) sales.set(m.sales_id, { quantity: 0, cost: 0 });
+      const sale = sales.get(m.sales_id);
+      if (m.quantity < 0) {
+        const [cost, costed] = issue(state, -m.quantity);
+        sale.cost += cost;
+        sale.quantity += costed;
+      } else {
+        const back = Math.min(m.quantity, sale.quantity);
+        const unit = back ? sale.cost / sale.quantity : null;
+        if (back) receive(state, back, unit);
+        if (m.quantity > back) receive(state, m.quantity - back, fallback);
+        sale.cost -= back * (unit || 0);
+        sale.quantity -= back;
+      }
+    } else if (m.quantity < 0) {
+      const [cost] = issue(state, -m.quantity);
+      writeOffs.push({ product_id: m.product_id, date: m.created_at.slice(0, 10), cost });
+    } else {
+      receive(state, m.quantity, m.intake_cost ?? fallback);
+    }
+  });
+
+  products.forEach((p) => {
+    p.value = roundMoney(p.value);
+    delete p.layers;
+  });
+  sales.forEach((s) => (s.cost = roundMoney(s.cost)));
+  writeOffs = writeOffs.filter((w) => w.cost);
+  return { products, sales, writeOffs };
+}
+
+const valuationRules = [query("method").optional({ checkFalsy: true }).isIn(valuationMethods)];
+
+// Stock on hand and what it is worth, per product, now or at the end of ?as_of
+app.get(
+  "/api/reports/valuation",
+  [...valuationRules, query("as_of").optional({ checkFalsy: true }).isISO8601()],
+  handleValidation,
+  async (req, res) => {
+    const method = req.query.method || defaultValuationMethod;
+    const asOf = req.query.as_of || today();
+    try {
+      const { products: values } = await valueInventory(method, { asOf });
+      const products = (
+        await dbAll("SELECT product_id, product_name, category FROM products WHERE deleted_at IS NULL ORDER BY product_name")
+      )
+        .map((p) => {
+          const v = values.get(p.product_id) || { quantity: 0, value: 0, uncosted: 0 };
+          return {
+            ...p,
+            quantity: v.quantity + v.uncosted,
+            uncosted_quantity: v.uncosted,
+            unit_cost: v.quantity ? roundMoney(v.value / v.quantity) : null,
+            value: v.value,
+          };
+        })
+        .filter((p) => p.quantity);
+      const totals = { quantity: 0, uncosted_quantity: 0, value: 0 };
+      products.forEach((p) => {
+        totals.quantity += p.quantity;
+        totals.uncosted_quantity += p.uncosted_quantity;
+        totals.value = roundMoney(totals.value + p.value);
+      });
+      res.json({ method, as_of: asOf, totals, products });
+    } catch (err) {
+      sendError(res, err);
+    }
+  }
+);
+
+/**
+ * Gross profit on invoices dated from..to (default: the report window of
+ * /api/reports/sales): revenue before tax net of returns, cost of goods from
+ * the valuation engine, grouped like the sales report. As there, gross profit
+ * and margin only count units with a known cost; uncosted_revenue is the rest.
+ * Stock written off in the period is reported beside it.
+ */
+app.get(
+  "/api/reports/profit",
+  [
+    ...valuationRules,
+    query("from").optional({ checkFalsy: true }).isISO8601(),
+    query("to").optional({ checkFalsy: true }).isISO8601(),
+    query("group_by").optional({ checkFalsy: true }).isIn(["product", "category", "customer", "month"]),
+  ],
+  handleValidation,
+  async (req, res) => {
+    const method = req.query.method || defaultValuationMethod;
+    const { from, to } = reportWindow(req.query);
+    const groupBy = req.query.group_by || "product";
+    try {
+      const { sales, writeOffs } = await valueInventory(method);
+      const lines = await dbAll(
+        `SELECT s.sales_id, s.product_id, COALESCE(p.product_name, s.product_id) AS product_name,
+                COALESCE(p.category, 'Uncategorised') AS category, COALESCE(i.cust_id, '') AS cust_id,
+                COALESCE(c.cust_name, i.cust_id, 'Walk-in') AS cust_name, substr(i.date, 1, 7) AS month,
+                s.quantity_sold - COALESCE((SELECT SUM(r.quantity) FROM sales_return_lines r WHERE r.sales_id = s.sales_id), 0)
+                  AS quantity,
+                COALESCE(s.taxable_value, s.price_total) AS value, s.quantity_sold
+         FROM sales s
+         JOIN invoices i ON i.invoice_id = s.invoice_id
+         LEFT JOIN products p ON p.product_id = s.product_id
+         LEFT JOIN customers c ON c.cust_id = i.cust_id
+         WHERE s.deleted_at IS NULL AND i.deleted_at IS NULL AND i.date BETWEEN ? AND ? AND s.quantity_sold > 0`,
+        [from, to]
+      );
+      const keys = {
+        product: ["product_id", "product_name"],
+        category: ["category", "category"],
+        customer: ["cust_id", "cust_name"],
+        month: ["month", "month"],
+      }[groupBy];
+      const blank = () => ({ quantity: 0, revenue: 0, cogs: 0, uncosted_quantity: 0, uncosted_revenue: 0 });
+      const groups = new Map();
+      const totals = blank();
+      lines.forEach((l) => {
+        const key = l[keys[0]];
+        if (!groups.has(key)) groups.set(key, { key, label: l[keys[1]], ...blank() });
+        const sold = sales.get(l.sales_id) || { quantity: 0, cost: 0 };
+        const uncosted = Math.max(0, l.quantity - sold.quantity);
+        const line = {
+          quantity: l.quantity,
+          revenue: (l.value * l.quantity) / l.quantity_sold,
+          cogs: sold.cost,
+          uncosted_quantity: uncosted,
+          uncosted_revenue: (l.value * uncosted) / l.quantity_sold,
+        };
+        [groups.get(key), totals].forEach((g) => Object.keys(line).forEach((k) => (g[k] += line[k])));
+      });
+      const finish = (g) => {
+        const costedRevenue = g.revenue - g.uncosted_revenue;
+        const profit = costedRevenue - g.cogs;
+        return {
+          ...g,
+          revenue: roundMoney(g.revenue),
+          uncosted_revenue: roundMoney(g.uncosted_revenue),
+          cogs: roundMoney(g.cogs),
+          gross_profit: roundMoney(profit),
+          margin_pct: costedRevenue ? Math.round((profit / costedRevenue) * 1000) / 10 : null,
+        };
+      };
+      const inPeriod = writeOffs.filter((w) => w.date >= from && w.date <= to);
+      res.json({
+        method,
+        from,
+        to,
+        group_by: groupBy,
+        rows: [...groups.values()].map(finish).sort((a, b) => b.gross_profit - a.gross_profit),
+        totals: finish(totals),
+        write_offs: roundMoney(inPeriod.reduce((sum, w) => sum + w.cost, 0)),
+      });
+    } catch (err) {
+      sendError(res, err);
+    }
+  }
+);
+
+/* ----------------------------
+   Credit purchases
+   ---------------------------- */
+// Terms for credit purchases when the checkout doesn't name them
+const creditDefaults = {
+  interestRate: Number(process.env.CREDIT_INTEREST_RATE) || 0,
+  dueDays: Number(process.env.CREDIT_DUE_DAYS) || 30,
+};
+
+const creditRules = [
+  body("amount_paid").optional({ checkFalsy: true }).isFloat({ min: 0 }),
+  body("credit_interest_rate").optional({ checkFalsy: true }).isFloat({ min: 0 }),
+  body("credit_due_date").optional({ checkFalsy: true }).isISO8601(),
+];
+
+/**
+ * A customer's credit standing: limit (null means no limit), what is used by
+ * open loans, what is still available and how much of it is past due.
+ */
+async function creditPosition(custId) {
+  const customer = await dbGet("SELECT * FROM customers WHERE cust_id = ?", [custId]);
+  if (!customer) throw httpError(404, "Customer not found");
+  const row = await dbGet(
+    "SELECT COALESCE(SUM(balance), 0) AS used FROM loans WHERE cust_id = ? AND status = 'open' AND deleted_at IS NULL",
+    [custId]
+  );
+  const [aging] = await receivablesAging(today(), custId);
+  const limit = customer.credit_limit == null ? null : roundMoney(customer.credit_limit);
+  return {
+    cust_id: custId,
+    risk_status: customer.risk_status || "active",
+    credit_limit: limit,
+    used: roundMoney(row.used),
+    available: limit == null ? null : roundMoney(Math.max(0, limit - row.used)),
+    overdue: aging ? aging.overdue : 0,
+  };
+}
+
+// Refuses new credit for blocked customers or when it would go over the limit
+async function assertCreditAvailable(custId, amount) {
+  const credit = await creditPosition(custId);
+  if (credit.risk_status === "blocked") {
+    throw httpError(409, `Customer ${custId} is blocked from credit`);
+  }
+  if (credit.credit_limit != null && roundMoney(credit.used + amount) > credit.credit_limit) {
+    throw httpError(
+      409,
+      `Credit limit of ${credit.credit_limit} would be exceeded: ${credit.used} outstanding, ` +
+        `${roundMoney(amount)} requested, ${credit.available} available`
+    );
+  }
+  return credit;
+}
+
+/**
+ * Puts the unpaid part of an invoice on the customer's credit account. An open
+ * credit loan is extended (its due date moves out if the new one is later);
+ * otherwise a new loan is opened with the invoice as its reference. Terms
+ * given with the purchase must fit an open loan: its interest rate, and a due
+ * date no earlier than its own. Runs inside the caller's transaction and
+ * links the invoice to the loan.
+ */
+async function chargeToCredit({ invoice_id, cust_id, date, amount, interest_rate, due_date }) {
+  const rateGiven = interest_rate != null && interest_rate !== "";
+  const dueDate = due_date || addDays(date, creditDefaults.dueDays);
+  const rate = rateGiven ? Number(interest_rate) : creditDefaults.interestRate;
+  await assertCreditAvailable(cust_id, amount);
+
+  let loan = await dbGet(
+    `SELECT * FROM loans WHERE cust_id = ? AND status = 'open' AND invoice_id IS NOT NULL AND deleted_at IS NULL
+     ORDER BY disbursed_on DESC LIMIT 1`,
+    [cust_id]
+  );
+  if (loan) {
+    if (rateGiven && rate !== loan.interest_rate) {
+      throw httpError(
+        409,
+        `Credit account ${loan.loan_id} is open at ${loan.interest_rate}% interest; charge at that rate or settle it first`
+      );
+    }
+    if (due_date && loan.due_date && due_date < loan.due_date) {
+      throw httpError(
+        409,
+        `Credit account ${loan.loan_id} is due on ${loan.due_date}; a purchase cannot bring that forward`
+      );
+    }
+    const newDue = loan.due_date && loan.due_date > dueDate ? loan.due_date : dueDate;
+    await dbRun(
+      "UPDATE loans SET loan_amount = ROUND(loan_amount + ?, 2), due_date = ?, tenure_months = ? WHERE loan_id = ?",
+      [amount, newDue, monthsBetween(loan.disbursed_on || date, newDue), loan.loan_id]
+    );
+  } else {
+    loan = { loan_id: await allocateNumber("credit-accounts") };
+    await dbRun(
+      `INSERT INTO loans (loan_id,cust_id,loan_amount,interest_rate,balance,status,interest_type,
+                          disbursed_on,tenure_months,due_date,invoice_id)
+       VALUES (?,?,?,?,?,'open','simple',?,?,?,?)`,
+      [loan.loan_id, cust_id, amount, rate, amount, date, monthsBetween(date, dueDate), dueDate, invoice_id]
+    );
+  }
+  await dbRun("UPDATE invoices SET loan_id = ?, credit_amount = ? WHERE invoice_id = ?", [
+    loan.loan_id,
+    amount,
+    invoice_id,
+  ]);
+  await syncLoanBalance(loan.loan_id);
+  return loan.loan_id;
+}
+
+// Records how an invoice was paid. "Credit" invoices may take a partial
+// upfront payment; the rest goes to the customer's credit account.
+async function settleInvoice(invoice, body) {
+  if (invoice.payment_mode !== "Credit") {
+    await dbRun("UPDATE invoices SET amount_paid = ? WHERE invoice_id = ?", [invoice.total_amt, invoice.invoice_id]);
+    return { amount_paid: invoice.total_amt, credit_amount: 0, loan_id: null };
+  }
+
+  const upfront = roundMoney(body.amount_paid);
+  if (upfront > invoice.total_amt) {
+    throw httpError(400, `Upfront payment ${upfront} is more than the invoice total ${invoice.total_amt}`);
+  }
+  const credit = roundMoney(invoice.total_amt - upfront);
+  await dbRun("UPDATE invoices SET amount_paid = ? WHERE invoice_id = ?", [upfront, invoice.invoice_id]);
+  if (credit === 0) return { amount_paid: upfront, credit_amount: 0, loan_id: null };
+
+  const loan_id = await chargeToCredit({
+    invoice_id: invoice.invoice_id,
+    cust_id: invoice.cust_id,
+    date: invoice.date,
+    amount: credit,
+    interest_rate: body.credit_interest_rate,
+    due_date: body.credit_due_date,
+  });
+  return { amount_paid: upfront, credit_amount: credit, loan_id };
+}
+
+/* ----------------------------
+   Collections: receivables aging
+   ---------------------------- */
+const agingBuckets = [
+  { key: "current", upTo: 0 },
+  { key: "days_1_30", upTo: 30 },
+  { key: "days_31_60", upTo: 60 },
+  { key: "days_61_90", upTo: 90 },
+  { key: "days_90_plus", upTo: Infinity },
+];
+
+/**
+ * What is still owed on each due date of a loan. Credit purchases fall due in
+ * one go on the loan's due date; other loans follow their installment plan,
+ * never later than the loan's own due date. Payments clear the earliest
+ * installments first, so the outstanding balance sits in the latest ones.
+ */
+function loanDueAmounts(loan, payments) {
+  const start = disbursedOn(loan, payments);
+  const dues = loan.invoice_id
+    ? [{ due_date: loan.due_date || addDays(start, creditDefaults.dueDays), amount: loan.loan_amount }]
+    : amortize(loan, start).installments.map((i) => ({
+        due_date: loan.due_date && loan.due_date < i.due_date ? loan.due_date : i.due_date,
+        amount: i.principal,
+      }));
+
+  let unpaid = roundMoney(loan.balance);
+  const owed = [];
+  for (let i = dues.length - 1; i >= 0 && unpaid > 0; i--) {
+    const amount = i === 0 ? unpaid : Math.min(unpaid, dues[i].amount);
+    owed.unshift({ due_date: dues[i].due_date, amount: roundMoney(amount) });
+    unpaid = roundMoney(unpaid - amount);
+  }
+  return owed;
+}
+
+// Outstanding balances per customer, bucketed by days past due on `asOf`
+async function receivablesAging(asOf, custId = null) {
+  const loans = await dbAll(
+    `SELECT l.*, c.cust_name, c.phone_no, c.email, c.house_no, c.street_name, c.city_name
+     FROM loans l LEFT JOIN customers c ON c.cust_id = l.cust_id
+     WHERE l.status = 'open' AND l.balance > 0 AND l.deleted_at IS NULL ${custId ? "AND l.cust_id = ?" : ""}`,
+    custId ? [custId] : []
+  );
+  const payments = await dbAll(
+    `SELECT p.* FROM payments p JOIN loans l ON l.loan_id = p.loan_id
+     WHERE l.status = 'open' AND l.deleted_at IS NULL AND p.deleted_at IS NULL ${custId ? "AND l.cust_id = ?" : ""}`,
+    custId ? [custId] : []
+  );
+
+  const customers = new Map();
+  loans.forEach((loan) => {
+    const loanPayments = payments.filter((p) => p.loan_id === loan.loan_id);
+    let row = customers.get(loan.cust_id);
+    if (!row) {
+      row = {
+        cust_id: loan.cust_id,
+        cust_name: loan.cust_name,
+        phone_no: loan.phone_no,
+        email: loan.email,
+        address: [loan.house_no, loan.street_name, loan.city_name].filter(Boolean).join(", "),
+        loans: [],
+        oldest_due_date: null,
+        last_payment_date: null,
+      };
+      agingBuckets.forEach((b) => (row[b.key] = 0));
+      customers.set(loan.cust_id, row);
+    }
+    row.loans.push(loan.loan_id);
+
+    loanDueAmounts(loan, loanPayments).forEach(({ due_date, amount }) => {
+      const late = due_date < asOf ? daysBetween(due_date, asOf) : 0;
+      const bucket = agingBuckets.find((b) => late <= b.upTo);
+      row[bucket.key] = roundMoney(row[bucket.key] + amount);
+      if (late > 0 && (!row.oldest_due_date || due_date < row.oldest_due_date)) row.oldest_due_date = due_date;
+    });
+    loanPayments.forEach((p) => {
+      if (p.payment_date && (!row.last_payment_date || p.payment_date > row.last_payment_date)) {
+        row.last_payment_date = p.payment_date;
+      }
+    });
+  });
+
+  return [...customers.values()]
+    .map((row) => {
+      row.total = roundMoney(agingBuckets.reduce((sum, b) => sum + row[b.key], 0));
+      row.overdue = roundMoney(row.total - row.current);
+      return row;
+    })
+    .sort((a, b) => b.overdue - a.overdue || b.total - a.total);
+}
+
+app.get(
+  "/api/reports/aging",
+  [query("as_of").optional({ checkFalsy: true }).isISO8601(), query("overdue_only").optional().isBoolean()],
+  handleValidation,
+  async (req, res) => {
+    const asOf = req.query.as_of || today();
+    try {
+      let customers = await receivablesAging(asOf);
+      if (req.query.overdue_only === "true" || req.query.overdue_only === "1") {
+        customers = customers.filter((c) => c.overdue > 0);
+      }
+      const totals = { total: 0, overdue: 0 };
+      agingBuckets.forEach((b) => (totals[b.key] = 0));
+      customers.forEach((c) => {
+        Object.keys(totals).forEach((k) => (totals[k] = roundMoney(totals[k] + c[k])));
+      });
+      res.json({ as_of: asOf, totals, customers });
+    } catch (err) {
+      sendError(res, err);
+    }
+  }
+);
+
+/* ----------------------------
+   GST
    ---------------------------- */
-app.get('/api/sales', (req, res) => {
-  db.all('SELECT * FROM sales ORDER BY sales_id DESC', [], (err, rows) => {
-    if (err) return res.status(500).json({ error: err.message });
-    res.json(rows);
+/**
+ * Sales are taxed at the product's own tax_rate or else its category's rate
+ * from tax_rates (else DEFAULT_TAX_RATE). Prices are before tax. Within the
+ * store's state (STORE_STATE) the tax splits evenly into CGST and SGST; a
+ * customer in another state pays it all as IGST.
+ */
+const taxConfig = {
+  storeState: process.env.STORE_STATE || '',
+  defaultRate: Number(process.env.DEFAULT_TAX_RATE) || 0
+};
+
+// Customers without a state are placed by city when it is one of these
+const cityStates = {
+  ahmedabad: 'Gujarat', bengaluru: 'Karnataka', bangalore: 'Karnataka', bhopal: 'Madhya Pradesh',
+  chandigarh: 'Chandigarh', chennai: 'Tamil Nadu', delhi: 'Delhi', 'new delhi': 'Delhi', gurugram: 'Haryana',
+  hyderabad: 'Telangana', indore: 'Madhya Pradesh', jaipur: 'Rajasthan', kochi: 'Kerala', kolkata: 'West Bengal',
+  lucknow: 'Uttar Pradesh', mumbai: 'Maharashtra', nagpur: 'Maharashtra', noida: 'Uttar Pradesh', patna: 'Bihar',
+  pune: 'Maharashtra', surat: 'Gujarat'
+};
+
+// The state a sale to this customer is taxed in; walk-in and unplaced
+// customers buy at the counter, in the store's state
+function placeOfSupply(customer) {
+  if (customer && customer.state) return customer.state;
+  const city = customer && customer.city_name ? customer.city_name.trim().toLowerCase() : '';
+  return cityStates[city] || taxConfig.storeState || null;
+}
+
+function isInterState(place) {
+  return Boolean(place && taxConfig.storeState && place.toLowerCase() !== taxConfig.storeState.toLowerCase());
+}
+
+async function taxRateFor(product) {
+  if (product.tax_rate !== null && product.tax_rate !== undefined) return product.tax_rate;
+  const row = product.category ? await dbGet('SELECT rate FROM tax_rates WHERE category = ?', [product.category]) : null;
+  return row ? row.rate : taxConfig.defaultRate;
+}
+
+// One sales line priced from the product table with its tax worked out
+async function pricedLine(product, quantity, place) {
+  const taxable_value = roundMoney(product.price * quantity);
+  const tax_rate = await taxRateFor(product);
+  const tax = roundMoney((taxable_value * tax_rate) / 100);
+  const cgst = isInterState(place) ? 0 : roundMoney(tax / 2);
+  const sgst = isInterState(place) ? 0 : roundMoney(tax - cgst);
+  const igst = isInterState(place) ? tax : 0;
+  return { unit_price: product.price, taxable_value, tax_rate, cgst, sgst, igst, price_total: roundMoney(taxable_value + tax) };
+}
+
+// The sales columns a priced line fills, in insert order
+function saleTaxValues(line) {
+  return [line.price_total, line.taxable_value, line.tax_rate, line.cgst, line.sgst, line.igst];
+}
+
+// Where an invoice's lines are taxed: fixed on the invoice once known
+async function invoicePlace(invoiceId) {
+  if (!invoiceId) return taxConfig.storeState || null;
+  const invoice = await dbGet('SELECT * FROM invoices WHERE invoice_id = ?', [invoiceId]);
+  if (!invoice) return taxConfig.storeState || null;
+  if (invoice.place_of_supply) return invoice.place_of_supply;
+  const customer = invoice.cust_id ? await dbGet('SELECT * FROM customers WHERE cust_id = ?', [invoice.cust_id]) : null;
+  return placeOfSupply(customer);
+}
+
+// Keeps the invoice's tax totals, and its total, equal to its live sales lines
+async function refreshInvoiceTax(invoiceId) {
+  if (!invoiceId) return;
+  const t = await dbGet(
+    `SELECT COALESCE(SUM(COALESCE(taxable_value, price_total)), 0) AS taxable, COALESCE(SUM(cgst), 0) AS cgst,
+            COALESCE(SUM(sgst), 0) AS sgst, COALESCE(SUM(igst), 0) AS igst
+     FROM sales WHERE invoice_id = ? AND deleted_at IS NULL`,
+    [invoiceId]
+  );
+  await dbRun(
+    `UPDATE invoices SET place_of_supply = COALESCE(place_of_supply, ?), taxable_amt = ?, cgst = ?, sgst = ?, igst = ?, tax_amt = ?,
+                         total_amt = ?
+     WHERE invoice_id = ?`,
+    [
+      await invoicePlace(invoiceId),
+      roundMoney(t.taxable),
+      roundMoney(t.cgst),
+      roundMoney(t.sgst),
+      roundMoney(t.igst),
+      roundMoney(t.cgst + t.sgst + t.igst),
+      roundMoney(t.taxable + t.cgst + t.sgst + t.igst),
+      invoiceId
+    ]
+  );
+}
+
+app.get('/api/tax-rates', listRules, handleValidation, (req, res) =>
+  sendList(req, res, {
+    base: `SELECT r.category, r.rate, (SELECT COUNT(*) FROM products p WHERE p.category = r.category AND p.deleted_at IS NULL) AS products
+           FROM tax_rates r`,
+    archivable: false,
+    sortable: ['category', 'rate'],
+    defaultSort: 'category',
+    search: ['category']
+  })
+);
+
+const taxRateRules = [body('rate').isFloat({ min: 0, max: 100 })];
+
+app.post('/api/tax-rates', [body('category').isString().trim().notEmpty(), ...taxRateRules], handleValidation, async (req, res) => {
+  try {
+    await auditedTransaction(req, () => dbRun('INSERT INTO tax_rates (category, rate) VALUES (?, ?)', [req.body.category, Number(req.body.rate)]));
+    res.status(201).json({ message: 'Tax rate added', id: req.body.category });
+  } catch (err) {
+    if (/UNIQUE/.test(err.message)) return res.status(409).json({ error: `${req.body.category} already has a rate` });
+    sendError(res, err);
+  }
+});
+
+app.put('/api/tax-rates/:category', taxRateRules, handleValidation, async (req, res) => {
+  try {
+    const { changes } = await auditedTransaction(req, () =>
+      dbRun('UPDATE tax_rates SET rate = ? WHERE category = ?', [Number(req.body.rate), req.params.category])
+    );
+    if (!changes) return res.status(404).json({ message: 'Not found' });
+    res.json({ message: 'Updated' });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// Products of the category fall back to DEFAULT_TAX_RATE afterwards
+app.delete('/api/tax-rates/:category', async (req, res) => {
+  try {
+    const { changes } = await auditedTransaction(req, () => dbRun('DELETE FROM tax_rates WHERE category = ?', [req.params.category]));
+    if (!changes) return res.status(404).json({ message: 'Not found' });
+    res.json({ message: 'Tax rate removed', id: req.params.category });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// First and last day of the calendar quarter `date` falls in
+function quarterOf(date) {
+  const [y, m] = date.split('-').map(Number);
+  const first = Math.floor((m - 1) / 3) * 3 + 1;
+  const last = new Date(Date.UTC(y, first + 2, 0)).getUTCDate();
+  const pad = (n) => String(n).padStart(2, '0');
+  return { from: `${y}-${pad(first)}-01`, to: `${y}-${pad(first + 2)}-${last}` };
+}
+
+/**
+ * GST summary for a period (default: the current quarter): tax on invoiced
+ * sales less tax given back on credit notes issued in the period, by rate and
+ * by place of supply. Sales lines not on an invoice have no date and are only
+ * counted in `unbilled_lines`.
+ */
+app.get('/api/reports/tax', [
+  query('from').optional({ checkFalsy: true }).isISO8601(),
+  query('to').optional({ checkFalsy: true }).isISO8601()
+], handleValidation, async (req, res) => {
+  const quarter = quarterOf(today());
+  const from = req.query.from || quarter.from;
+  const to = req.query.to || quarter.to;
+  try {
+    const sold = await dbAll(
+      `SELECT COALESCE(s.tax_rate, 0) AS rate, COALESCE(i.place_of_supply, ?) AS place,
+              SUM(COALESCE(s.taxable_value, s.price_total)) AS taxable_value,
+              SUM(COALESCE(s.cgst, 0)) AS cgst, SUM(COALESCE(s.sgst, 0)) AS sgst, SUM(COALESCE(s.igst, 0)) AS igst
+       FROM sales s JOIN invoices i ON i.invoice_id = s.invoice_id
+       WHERE s.deleted_at IS NULL AND i.deleted_at IS NULL AND i.date BETWEEN ? AND ?
+       GROUP BY 1, 2`,
+      [taxConfig.storeState, from, to]
+    );
+    // a returned share of a line takes back the same share of its tax
+    const returned = await dbAll(
+      `SELECT COALESCE(s.tax_rate, 0) AS rate, COALESCE(i.place_of_supply, ?) AS place,
+              SUM(COALESCE(s.taxable_value, s.price_total) * rl.quantity / s.quantity_sold) AS taxable_value,
+              SUM(COALESCE(s.cgst, 0) * rl.quantity / s.quantity_sold) AS cgst,
+              SUM(COALESCE(s.sgst, 0) * rl.quantity / s.quantity_sold) AS sgst,
+              SUM(COALESCE(s.igst, 0) * rl.quantity / s.quantity_sold) AS igst
+       FROM sales_return_lines rl
+       JOIN sales_returns r ON r.return_id = rl.return_id
+       JOIN sales s ON s.sales_id = rl.sales_id
+       LEFT JOIN invoices i ON i.invoice_id = r.invoice_id
+       WHERE r.date BETWEEN ? AND ?
+       GROUP BY 1, 2`,
+      [taxConfig.storeState, from, to]
+    );
+    const { unbilled } = await dbGet(
+      'SELECT COUNT(*) AS unbilled FROM sales WHERE invoice_id IS NULL AND deleted_at IS NULL'
+    );
+
+    const amounts = ['taxable_value', 'cgst', 'sgst', 'igst'];
+    const blank = () => ({ taxable_value: 0, cgst: 0, sgst: 0, igst: 0 });
+    const add = (target, row, sign) => amounts.forEach((k) => { target[k] += sign * (row[k] || 0); });
+    const finish = (t) => {
+      amounts.forEach((k) => { t[k] = roundMoney(t[k]); });
+      t.tax = roundMoney(t.cgst + t.sgst + t.igst);
+      return t;
+    };
+    const byRate = new Map();
+    const byPlace = new Map();
+    const sales = blank();
+    const returns = blank();
+    [[sold, 1, sales], [returned, -1, returns]].forEach(([rows, sign, total]) => rows.forEach((row) => {
+      if (!byRate.has(row.rate)) byRate.set(row.rate, { rate: row.rate, ...blank() });
+      const place = row.place || 'Unknown';
+      if (!byPlace.has(place)) byPlace.set(place, { place_of_supply: place, inter_state: isInterState(row.place), ...blank() });
+      add(byRate.get(row.rate), row, sign);
+      add(byPlace.get(place), row, sign);
+      add(total, row, 1);
+    }));
+    const net = blank();
+    add(net, sales, 1);
+    add(net, returns, -1);
+
+    res.json({
+      from,
+      to,
+      store_state: taxConfig.storeState || null,
+      sales: finish(sales),
+      returns: finish(returns),
+      net: finish(net),
+      by_rate: [...byRate.values()].map(finish).sort((a, b) => a.rate - b.rate),
+      by_place: [...byPlace.values()].map(finish).sort((a, b) => a.place_of_supply.localeCompare(b.place_of_supply)),
+      unbilled_lines: unbilled
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+/* ----------------------------
+   ROUTES: Invoices
+   ---------------------------- */
+app.get('/api/invoices', listRules, handleValidation, (req, res) =>
+  sendList(req, res, {
+    base: 'SELECT * FROM invoices',
+    sortable: ['date', 'invoice_id', 'cust_id', 'total_amt', 'payment_mode', 'credit_amount'],
+    defaultSort: 'date',
+    defaultOrder: 'desc',
+    search: ['invoice_id', 'cust_id', 'payment_mode', 'loan_id'],
+    filters: {
+      cust_id: ['cust_id', '='],
+      payment_mode: ['payment_mode', '='],
+      from: ['date', '>='],
+      to: ['date', '<=']
+    }
+  })
+);
+
+const invoiceRules = [
+  body('invoice_id').optional({ checkFalsy: true }).isString(),
+  body('cust_id').isString().notEmpty(),
+  body('date').optional({ checkFalsy: true }).isISO8601(),
+  body('payment_mode').optional().isString(),
+  ...creditRules,
+  body('items').isArray({ min: 1 }),
+  body('items.*.product_id').isString().notEmpty(),
+  body('items.*.quantity').isInt({ min: 1 })
+];
+
+// Prices and taxes every line from the product table and writes the invoice,
+// its sales rows and the stock decrements; the total is the sum of the lines,
+// never a figure from the request. Nothing is saved unless every line can be filled.
+async function createInvoice(body) {
+  const { cust_id } = body;
+  const date = body.date || today();
+
+  // the same product on two lines is checked against stock as one line
+  const quantities = new Map();
+  body.items.forEach(item => {
+    quantities.set(item.product_id, (quantities.get(item.product_id) || 0) + Number(item.quantity));
   });
+
+  const customer = await dbGet('SELECT * FROM customers WHERE cust_id = ?', [cust_id]);
+  if (!customer) throw httpError(400, `Customer ${cust_id} does not exist`);
+  if (customer.deleted_at) throw httpError(400, `Customer ${cust_id} is archived`);
+  const place = placeOfSupply(customer);
+
+  const lines = [];
+  const problems = [];
+  for (const [product_id, quantity] of quantities) {
+    const product = await dbGet('SELECT * FROM products WHERE product_id = ?', [product_id]);
+    if (!product) problems.push(`${product_id}: no such product`);
+    else if (product.deleted_at) problems.push(`${product_id}: archived`);
+    else if (product.quantity_stock < quantity) problems.push(`${product_id}: ${product.quantity_stock} in stock, ${quantity} requested`);
+    else lines.push({ product_id, quantity, ...(await pricedLine(product, quantity, place)) });
+  }
+  if (problems.length) throw httpError(409, `Cannot fill order — ${problems.join('; ')}`);
+
+  const invoice_id = await numberFor(body, 'invoices');
+  const total_amt = roundMoney(lines.reduce((sum, l) => sum + l.price_total, 0));
+  const payment_mode = body.payment_mode || 'Cash';
+  await dbRun(
+    'INSERT INTO invoices (invoice_id, cust_id, total_amt, date, payment_mode, place_of_supply) VALUES (?, ?, ?, ?, ?, ?)',
+    [invoice_id, cust_id, total_amt, date, payment_mode, place]
+  );
+  for (const [i, line] of lines.entries()) {
+    line.sales_id = await allocateNumber('invoice-lines');
+    await dbRun(
+      `INSERT INTO sales (sales_id, product_id, invoice_id, quantity_sold, price_total, taxable_value, tax_rate, cgst, sgst, igst)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [line.sales_id, line.product_id, invoice_id, line.quantity, ...saleTaxValues(line)]
+    );
+    await moveStock(line.product_id, -line.quantity, 'sale', { reason: `Invoice ${invoice_id}`, ref: line.sales_id });
+  }
+  await refreshInvoiceTax(invoice_id);
+  const settlement = await settleInvoice({ invoice_id, cust_id, date, total_amt, payment_mode }, body);
+  const tax = await dbGet('SELECT taxable_amt, cgst, sgst, igst, tax_amt FROM invoices WHERE invoice_id = ?', [invoice_id]);
+  return { id: invoice_id, invoice_id, cust_id, date, total_amt, payment_mode, place_of_supply: place, ...tax, ...settlement, lines };
+}
+
+app.post('/api/invoices', invoiceRules, handleValidation, async (req, res) => {
+  try {
+    const invoice = await auditedTransaction(req, () => createInvoice(req.body));
+    res.status(201).json({ message: 'Invoice created', ...invoice });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+app.get('/api/invoices/:id', async (req, res) => {
+  try {
+    const invoice = await dbGet('SELECT * FROM invoices WHERE invoice_id = ?', [req.params.id]);
+    if (!invoice) return res.status(404).json({ message: 'Invoice not found' });
+    invoice.lines = await dbAll(
+      `SELECT s.*, p.product_name FROM sales s LEFT JOIN products p ON p.product_id = s.product_id
+       WHERE s.invoice_id = ? ORDER BY s.sales_id`,
+      [invoice.invoice_id]
+    );
+    res.json(invoice);
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// Money on an invoice charged to credit lives on the loan, so only invoices
+// without a credit loan can change customer, date or payment mode. The
+// payment is then settled again as on create. The total was set from the lines
+// at checkout and only credit notes take money off it; a total_amt in the
+// request is ignored.
+async function updateInvoice(id, body) {
+  const current = await dbGet('SELECT * FROM invoices WHERE invoice_id = ?', [id]);
+  if (!current) throw httpError(404, 'Not found');
+  const invoice = {
+    invoice_id: current.invoice_id,
+    cust_id: body.cust_id || current.cust_id,
+    total_amt: current.total_amt,
+    date: body.date || current.date,
+    payment_mode: body.payment_mode || current.payment_mode
+  };
+  const changed = ['cust_id', 'date', 'payment_mode'].filter(f => invoice[f] !== current[f]);
+  if (current.loan_id && changed.length) {
+    throw httpError(409, `Invoice is on credit loan ${current.loan_id}; ${changed.join(', ')} cannot change`);
+  }
+  await dbRun(
+    'UPDATE invoices SET cust_id = ?, date = ?, payment_mode = ? WHERE invoice_id = ?',
+    [invoice.cust_id, invoice.date, invoice.payment_mode, invoice.invoice_id]
+  );
+  if (current.loan_id) return { amount_paid: current.amount_paid, credit_amount: current.credit_amount, loan_id: current.loan_id };
+  // a Credit invoice paid in full upfront keeps its upfront payment unless a new one is given
+  const upfront = invoice.payment_mode === current.payment_mode ? { amount_paid: current.amount_paid } : {};
+  return settleInvoice(invoice, { ...upfront, ...body });
+}
+
+app.put('/api/invoices/:id', [
+  param('id').isString(),
+  body('cust_id').optional({ checkFalsy: true }).isString(),
+  body('date').optional({ checkFalsy: true }).isISO8601(),
+  body('payment_mode').optional({ checkFalsy: true }).isString(),
+  ...creditRules
+], handleValidation, async (req, res) => {
+  try {
+    const settlement = await auditedTransaction(req, () => updateInvoice(req.params.id, req.body));
+    res.json({ message: 'Updated', ...settlement });
+  } catch (err) {
+    sendError(res, err);
+  }
 });
 
-app.post('/api/sales', [
-  body('sales_id').isString(),
+/* ----------------------------
+   ROUTES: Sales
+   ---------------------------- */
+app.get('/api/sales', listRules, handleValidation, (req, res) =>
+  sendList(req, res, {
+    base: `SELECT s.*, i.date FROM sales s LEFT JOIN invoices i ON i.invoice_id = s.invoice_id`,
+    sortable: ['sales_id', 'product_id', 'invoice_id', 'quantity_sold', 'price_total', 'date'],
+    defaultSort: 'sales_id',
+    defaultOrder: 'desc',
+    search: ['sales_id', 'product_id', 'invoice_id'],
+    filters: {
+      product_id: ['product_id', '='],
+      invoice_id: ['invoice_id', '='],
+      from: ['date', '>='],
+      to: ['date', '<=']
+    }
+  })
+);
+
+const saleRules = [
+  body('sales_id').optional({ checkFalsy: true }).isString(),
   body('product_id').isString(),
-  body('quantity_sold').isInt({ min: 1 }),
-  body('price_total').isNumeric()
-], handleValidation, (req, res) => {
-  const { sales_id, product_id, invoice_id, quantity_sold, price_total } = req.body;
-  db.run(
-    'INSERT INTO sales (sales_id, product_id, invoice_id, quantity_sold, price_total) VALUES (?, ?, ?, ?, ?)',
-    [sales_id, product_id, invoice_id || null, quantity_sold, price_total],
-    function(err) {
-      if (err) return res.status(400).json({ error: err.message });
-      // Update product stock quantity
-      db.run('UPDATE products SET quantity_stock = quantity_stock - ? WHERE product_id = ?', [quantity_sold, product_id]);
-      res.status(201).json({ message: 'Sale recorded', id: sales_id });
+  body('quantity_sold').isInt({ min: 1 })
+];
+
+// A sale made without an invoice. The line is priced and taxed from the
+// product table; a price_total in the request is ignored. Invoices get their
+// lines at checkout, where their total and payment are settled.
+async function createSale(body) {
+  const { product_id } = body;
+  const quantity_sold = Number(body.quantity_sold);
+  if (body.invoice_id) throw httpError(409, `Lines are added to invoice ${body.invoice_id} only at checkout`);
+  const product = await dbGet('SELECT * FROM products WHERE product_id = ?', [product_id]);
+  if (!product) throw httpError(400, `Product ${product_id} does not exist`);
+  if (product.deleted_at) throw httpError(400, `Product ${product_id} is archived`);
+  const line = await pricedLine(product, quantity_sold, await invoicePlace(null));
+  const sales_id = await numberFor(body, 'sales');
+  await dbRun(
+    `INSERT INTO sales (sales_id, product_id, quantity_sold, price_total, taxable_value, tax_rate, cgst, sgst, igst)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [sales_id, product_id, quantity_sold, ...saleTaxValues(line)]
+  );
+  await moveStock(product_id, -quantity_sold, 'sale', { reason: 'Sale', ref: sales_id });
+  return { id: sales_id };
+}
+
+app.post('/api/sales', saleRules, handleValidation, async (req, res) => {
+  try {
+    const { id } = await auditedTransaction(req, () => createSale(req.body));
+    res.status(201).json({ message: 'Sale recorded', id });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+app.get('/api/sales/:id', (req, res) => {
+  db.get(
+    `SELECT s.*, p.product_name FROM sales s LEFT JOIN products p ON p.product_id = s.product_id
+     WHERE s.sales_id = ?`,
+    [req.params.id],
+    (err, row) => {
+      if (err) return res.status(500).json({ error: err.message });
+      if (!row) return res.status(404).json({ message: 'Sale not found' });
+      res.json(row);
+    }
+  );
+});
+
+// An invoice's lines set what its customer paid or owes, so they are
+// corrected through credit notes, as are sales with goods already returned
+async function loadEditableSale(salesId) {
+  const sale = await dbGet('SELECT * FROM sales WHERE sales_id = ?', [salesId]);
+  if (!sale) throw httpError(404, 'Not found');
+  if (sale.invoice_id) throw httpError(409, `Sale ${salesId} is on invoice ${sale.invoice_id}; correct it with a credit note`);
+  await assertUnreferenced(salesId, [['sales_return_lines', 'sales_id', 'credit note lines']]);
+  return sale;
+}
+
+// Quantity or product changes move stock the same way the sale did. A line
+// whose product or quantity changes is priced and taxed afresh.
+async function updateSale(id, body) {
+  const sale = await loadEditableSale(id);
+  if (body.invoice_id) throw httpError(409, `Lines are added to invoice ${body.invoice_id} only at checkout`);
+  const productId = body.product_id || sale.product_id;
+  const quantity = body.quantity_sold ? Number(body.quantity_sold) : sale.quantity_sold;
+  if (productId !== sale.product_id || quantity !== sale.quantity_sold) {
+    const product = await dbGet('SELECT * FROM products WHERE product_id = ?', [productId]);
+    if (!product) throw httpError(400, `Product ${productId} does not exist`);
+    const line = await pricedLine(product, quantity, await invoicePlace(null));
+    await dbRun(
+      `UPDATE sales SET product_id = ?, quantity_sold = ?,
+              price_total = ?, taxable_value = ?, tax_rate = ?, cgst = ?, sgst = ?, igst = ?
+       WHERE sales_id = ?`,
+      [productId, quantity, ...saleTaxValues(line), id]
+    );
+  }
+  const reason = `Sale ${id} edited`;
+  if (productId !== sale.product_id) {
+    await moveStock(sale.product_id, sale.quantity_sold, 'adjustment', { reason, ref: id });
+    await moveStock(productId, -quantity, 'sale', { reason, ref: id });
+  } else if (quantity !== sale.quantity_sold) {
+    await moveStock(productId, sale.quantity_sold - quantity, 'adjustment', { reason, ref: id });
+  }
+  return {};
+}
+
+app.put('/api/sales/:id', [
+  param('id').isString(),
+  body('product_id').optional({ checkFalsy: true }).isString(),
+  body('quantity_sold').optional({ checkFalsy: true }).isInt({ min: 1 })
+], handleValidation, async (req, res) => {
+  try {
+    await auditedTransaction(req, () => updateSale(req.params.id, req.body));
+    res.json({ message: 'Updated' });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+/* ----------------------------
+   ROUTES: Checkout
+   ---------------------------- */
+// The till's entry point: the same invoice as POST /api/invoices, answered
+// with its lines and tax so the receipt can be shown straight away
+app.post('/api/checkout', invoiceRules, handleValidation, async (req, res) => {
+  try {
+    const invoice = await auditedTransaction(req, () => createInvoice(req.body));
+    res.status(201).json({ message: 'Checkout complete', ...invoice });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+/* ----------------------------
+   ROUTES: Sales returns & credit notes
+   ---------------------------- */
+// Sales lines of an invoice with how much of each has already come back
+async function returnableLines(invoiceId) {
+  return dbAll(
+    `SELECT s.sales_id, s.product_id, p.product_name, s.quantity_sold, s.price_total,
+            COALESCE((SELECT SUM(r.quantity) FROM sales_return_lines r WHERE r.sales_id = s.sales_id), 0) AS returned
+     FROM sales s LEFT JOIN products p ON p.product_id = s.product_id
+     WHERE s.invoice_id = ? AND s.deleted_at IS NULL ORDER BY s.sales_id`,
+    [invoiceId]
+  ).then(lines => lines.map(l => ({
+    ...l,
+    unit_price: l.quantity_sold ? roundMoney(l.price_total / l.quantity_sold) : 0,
+    returnable: l.quantity_sold - l.returned
+  })));
+}
+
+app.get('/api/invoices/:id/returns', async (req, res) => {
+  try {
+    const invoice = await dbGet('SELECT * FROM invoices WHERE invoice_id = ?', [req.params.id]);
+    if (!invoice) return res.status(404).json({ message: 'Invoice not found' });
+    const returns = await dbAll('SELECT * FROM sales_returns WHERE invoice_id = ? ORDER BY date, return_id', [invoice.invoice_id]);
+    for (const r of returns) {
+      r.lines = await dbAll('SELECT * FROM sales_return_lines WHERE return_id = ?', [r.return_id]);
     }
+    res.json({ invoice, lines: await returnableLines(invoice.invoice_id), returns });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+/**
+ * Accepts goods back against an invoice and issues a credit note. Stock is
+ * restored through the inventory ledger; the original sales rows stay as they
+ * are so revenue history is kept, and the invoice's returned_amt grows. The
+ * credit note first pays down the customer's open credit loan for this
+ * invoice (recorded as a "Credit note" payment) unless `refund_mode` is
+ * "refund"; whatever is left is refunded.
+ */
+app.post('/api/invoices/:id/returns', [
+  param('id').isString(),
+  body('return_id').optional({ checkFalsy: true }).isString(),
+  body('date').optional({ checkFalsy: true }).isISO8601(),
+  body('reason').optional().isString(),
+  body('refund_mode').optional({ checkFalsy: true }).isIn(['credit', 'refund']),
+  body('lines').isArray({ min: 1 }),
+  body('lines.*.sales_id').isString().notEmpty(),
+  body('lines.*.quantity').isInt({ min: 1 })
+], handleValidation, async (req, res) => {
+  const date = req.body.date || today();
+  try {
+    const note = await auditedTransaction(req, async () => {
+      const invoice = await dbGet('SELECT * FROM invoices WHERE invoice_id = ?', [req.params.id]);
+      if (!invoice) throw httpError(404, 'Invoice not found');
+
+      const sold = await returnableLines(invoice.invoice_id);
+      const lines = [];
+      for (const item of req.body.lines) {
+        const line = sold.find(l => l.sales_id === item.sales_id);
+        if (!line) throw httpError(400, `Sale ${item.sales_id} is not on invoice ${invoice.invoice_id}`);
+        const quantity = Number(item.quantity);
+        const already = lines.filter(l => l.sales_id === line.sales_id).reduce((sum, l) => sum + l.quantity, 0);
+        if (quantity + already > line.returnable) {
+          throw httpError(409, `${line.sales_id}: ${quantity + already} returned but only ${line.returnable} of ${line.quantity_sold} can be`);
+        }
+        lines.push({ sales_id: line.sales_id, product_id: line.product_id, quantity, amount: roundMoney(line.unit_price * quantity) });
+      }
+      const amount = roundMoney(lines.reduce((sum, l) => sum + l.amount, 0));
+      const return_id = await numberFor(req.body, 'credit-notes');
+
+      let credited = 0;
+      if (invoice.loan_id && req.body.refund_mode !== 'refund') {
+        const { loan, payments, draws } = await loadLoan(invoice.loan_id);
+        if (loan.status === 'open') {
+          credited = Math.min(amount, accrueLoan(loan, payments, date, draws).amount_due);
+          if (credited > 0) {
+            await dbRun(
+              'INSERT INTO payments (pay_id, loan_id, payment_date, amount_paid, payment_mode) VALUES (?, ?, ?, ?, ?)',
+              [return_id, loan.loan_id, date, credited, 'Credit note']
+            );
+            await syncLoanBalance(loan.loan_id);
+          }
+        }
+      }
+      const refunded = roundMoney(amount - credited);
+
+      await dbRun(
+        `INSERT INTO sales_returns (return_id, invoice_id, date, amount, refunded, credited_to_loan, loan_id, reason)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [return_id, invoice.invoice_id, date, amount, refunded, credited, credited ? invoice.loan_id : null, req.body.reason || null]
+      );
+      for (const line of lines) {
+        await dbRun(
+          'INSERT INTO sales_return_lines (return_id, sales_id, product_id, quantity, amount) VALUES (?, ?, ?, ?, ?)',
+          [return_id, line.sales_id, line.product_id, line.quantity, line.amount]
+        );
+        await moveStock(line.product_id, line.quantity, 'return', { reason: `Credit note ${return_id}`, ref: line.sales_id });
+      }
+      await dbRun('UPDATE invoices SET returned_amt = COALESCE(returned_amt, 0) + ? WHERE invoice_id = ?', [amount, invoice.invoice_id]);
+
+      return { return_id, invoice_id: invoice.invoice_id, date, amount, refunded, credited_to_loan: credited, loan_id: credited ? invoice.loan_id : null, lines };
+    });
+    res.status(201).json({ message: 'Credit note issued', id: note.return_id, ...note });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+/* ----------------------------
+   Invoice documents (HTML and PDF)
+   ---------------------------- */
+// Seller details printed on every bill
+const storeDetails = {
+  name: process.env.STORE_NAME || 'Retail Store',
+  address: process.env.STORE_ADDRESS || '',
+  phone: process.env.STORE_PHONE || ''
+};
+
+const money = (n) => (Number(n) || 0).toFixed(2);
+
+/**
+ * Everything a printed bill shows: the invoice, its customer, live sales
+ * lines with product names, the tax breakdown, what was paid and, for credit
+ * sales, the loan's terms and current balance.
+ */
+async function invoiceDocument(invoiceId) {
+  const invoice = await dbGet('SELECT * FROM invoices WHERE invoice_id = ?', [invoiceId]);
+  if (!invoice) throw httpError(404, 'Invoice not found');
+  const customer = invoice.cust_id
+    ? await dbGet('SELECT * FROM customers WHERE cust_id = ?', [invoice.cust_id])
+    : null;
+  // lines sold before GST was recorded count as untaxed
+  const lines = await dbAll(
+    `SELECT s.sales_id, s.product_id, p.product_name, s.quantity_sold, s.price_total,
+            COALESCE(s.taxable_value, s.price_total) AS taxable_value, COALESCE(s.tax_rate, 0) AS tax_rate,
+            COALESCE(s.cgst, 0) AS cgst, COALESCE(s.sgst, 0) AS sgst, COALESCE(s.igst, 0) AS igst
+     FROM sales s LEFT JOIN products p ON p.product_id = s.product_id
+     WHERE s.invoice_id = ? AND s.deleted_at IS NULL ORDER BY s.sales_id`,
+    [invoice.invoice_id]
   );
+  lines.forEach((l) => {
+    l.unit_price = l.quantity_sold ? roundMoney(l.taxable_value / l.quantity_sold) : 0;
+  });
+  const loan = invoice.loan_id ? await dbGet('SELECT * FROM loans WHERE loan_id = ?', [invoice.loan_id]) : null;
+  return {
+    store: storeDetails,
+    invoice,
+    customer,
+    lines,
+    subtotal: roundMoney(lines.reduce((sum, l) => sum + (Number(l.taxable_value) || 0), 0)),
+    taxes: taxBreakdown(lines),
+    loan
+  };
+}
+
+// CGST and SGST each at half the rate, or IGST at the full rate, per rate on the bill
+function taxBreakdown(lines) {
+  const byRate = new Map();
+  lines.forEach((l) => {
+    const t = byRate.get(l.tax_rate) || { cgst: 0, sgst: 0, igst: 0 };
+    ['cgst', 'sgst', 'igst'].forEach((k) => { t[k] += l[k]; });
+    byRate.set(l.tax_rate, t);
+  });
+  const taxes = [];
+  [...byRate.entries()].sort(([a], [b]) => a - b).forEach(([rate, t]) => {
+    if (t.cgst || t.sgst) {
+      taxes.push({ label: 'CGST', rate: rate / 2, amount: roundMoney(t.cgst) });
+      taxes.push({ label: 'SGST', rate: rate / 2, amount: roundMoney(t.sgst) });
+    }
+    if (t.igst) taxes.push({ label: 'IGST', rate, amount: roundMoney(t.igst) });
+  });
+  return taxes;
+}
+
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, (ch) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[ch]);
+}
+
+// Lines of the customer's postal address, blanks left out
+function addressLines(customer) {
+  if (!customer) return [];
+  return [
+    [customer.house_no, customer.street_name].filter(Boolean).join(', '),
+    [customer.city_name, customer.state].filter(Boolean).join(', ')
+  ].filter(Boolean);
+}
+
+// The label/amount rows under the line items, shared by both formats
+function totalsRows(doc) {
+  const { invoice } = doc;
+  const rows = [['Subtotal', doc.subtotal]];
+  if (doc.taxes.length) doc.taxes.forEach((t) => rows.push([`${t.label} @ ${t.rate}%`, t.amount]));
+  else rows.push(['Tax', 0]);
+  rows.push(['Total', invoice.total_amt]);
+  if (invoice.returned_amt) rows.push(['Returned (credit notes)', -invoice.returned_amt]);
+  const mode = invoice.payment_mode || 'Cash';
+  rows.push([mode === 'Credit' ? 'Paid at sale' : `Paid (${mode})`, invoice.amount_paid ?? invoice.total_amt]);
+  if (invoice.credit_amount) rows.push(['On credit', invoice.credit_amount]);
+  return rows;
+}
+
+function creditTerms(doc) {
+  const { loan } = doc;
+  if (!loan) return null;
+  return [
+    `Loan ${loan.loan_id}: ${money(loan.loan_amount)} at ${loan.interest_rate || 0}% ${loan.interest_type || 'simple'} interest`,
+    `Due ${loan.due_date || 'on demand'} - balance now ${money(loan.balance)}`
+  ];
+}
+
+function invoiceHtml(doc) {
+  const { invoice, customer, store } = doc;
+  const terms = creditTerms(doc);
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Invoice ${escapeHtml(invoice.invoice_id)}</title>
+<style>
+  body { font-family: Helvetica, Arial, sans-serif; font-size: 13px; color: #222; max-width: 760px; margin: 24px auto; }
+  header, .parties { display: flex; justify-content: space-between; gap: 24px; }
+  h1 { font-size: 22px; margin: 0; }
+  h2 { font-size: 13px; text-transform: uppercase; color: #666; margin: 0 0 4px; }
+  table { width: 100%; border-collapse: collapse; margin-top: 20px; }
+  th, td { padding: 6px 4px; border-bottom: 1px solid #ddd; text-align: left; }
+  .num { text-align: right; }
+  .totals { width: 45%; margin-left: auto; }
+  .totals tr:last-child td { font-weight: bold; }
+  .muted { color: #666; }
+  @media print { .no-print { display: none; } body { margin: 0 auto; } }
+</style>
+</head>
+<body>
+<header>
+  <div>
+    <h1>${escapeHtml(store.name)}</h1>
+    <div class="muted">${escapeHtml(store.address)}${store.phone ? ` · ${escapeHtml(store.phone)}` : ''}</div>
+  </div>
+  <div class="num">
+    <h1>INVOICE</h1>
+    <div>No. ${escapeHtml(invoice.invoice_id)}</div>
+    <div>Date ${escapeHtml(invoice.date)}</div>
+  </div>
+</header>
+<section class="parties" style="margin-top:24px">
+  <div>
+    <h2>Bill to</h2>
+    ${customer
+      ? `<div><strong>${escapeHtml(customer.cust_name)}</strong> (${escapeHtml(customer.cust_id)})</div>
+    ${addressLines(customer).map((l) => `<div>${escapeHtml(l)}</div>`).join('')}
+    ${customer.phone_no ? `<div>${escapeHtml(customer.phone_no)}</div>` : ''}
+    ${customer.email ? `<div>${escapeHtml(customer.email)}</div>` : ''}`
+      : '<div>Walk-in customer</div>'}
+  </div>
+  <div class="num">
+    <h2>Payment</h2>
+    <div>${escapeHtml(invoice.payment_mode || 'Cash')}</div>
+    ${invoice.place_of_supply ? `<div class="muted">Place of supply: ${escapeHtml(invoice.place_of_supply)}</div>` : ''}
+  </div>
+</section>
+<table>
+  <thead>
+    <tr><th>Item</th><th class="num">Qty</th><th class="num">Unit price</th><th class="num">GST %</th><th class="num">Amount</th></tr>
+  </thead>
+  <tbody>
+    ${doc.lines.map((l) => `<tr>
+      <td>${escapeHtml(l.product_name || l.product_id)} <span class="muted">${escapeHtml(l.product_id)}</span></td>
+      <td class="num">${l.quantity_sold}</td><td class="num">${money(l.unit_price)}</td>
+      <td class="num">${l.tax_rate}</td><td class="num">${money(l.taxable_value)}</td>
+    </tr>`).join('') || '<tr><td colspan="5" class="muted">No line items recorded</td></tr>'}
+  </tbody>
+</table>
+<table class="totals">
+  ${totalsRows(doc).map(([label, amount]) => `<tr><td>${escapeHtml(label)}</td><td class="num">${money(amount)}</td></tr>`).join('')}
+</table>
+${terms ? `<section><h2>Credit terms</h2>${terms.map((t) => `<div>${escapeHtml(t)}</div>`).join('')}</section>` : ''}
+<p class="muted" style="margin-top:32px">Thank you for your business.</p>
+<button class="no-print" onclick="window.print()">Print</button>
+</body>
+</html>`;
+}
+
+// Helvetica advance widths (per 1000 em) for the characters amounts use;
+// anything else is close enough at the digit width
+const helveticaWidths = { '.': 278, ',': 278, '-': 333, ' ': 278, '%': 889 };
+
+function pdfTextWidth(text, size) {
+  return ([...String(text)].reduce((w, ch) => w + (helveticaWidths[ch] || 556), 0) * size) / 1000;
+}
+
+// Characters outside Latin-1 have no glyph in the built-in fonts
+function pdfString(text) {
+  return `(${String(text ?? '').replace(/[^\x20-\x7e\xa0-\xff]/g, '?').replace(/[\\()]/g, '\\$&')})`;
+}
+
+/**
+ * A minimal PDF: A4 pages drawn with the built-in Helvetica fonts, nothing
+ * embedded. Each page is a list of text items { x, y, text, size, bold,
+ * align: 'right' } and rules { rule: [x1, y1, x2, y2] }; y counts up from
+ * the bottom of the page.
+ */
+function buildPdf(pages) {
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    null,
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>'
+  ];
+  const kids = [];
+  pages.forEach((items) => {
+    const stream = items.map((i) => {
+      if (i.rule) {
+        const [x1, y1, x2, y2] = i.rule;
+        return `0.5 w ${x1} ${y1} m ${x2} ${y2} l S`;
+      }
+      const size = i.size || 10;
+      const x = i.align === 'right' ? i.x - pdfTextWidth(i.text, size) : i.x;
+      return `BT /${i.bold ? 'F2' : 'F1'} ${size} Tf ${x.toFixed(2)} ${i.y} Td ${pdfString(i.text)} Tj ET`;
+    }).join('\n');
+    objects.push(`<< /Length ${Buffer.byteLength(stream, 'latin1')} >>\nstream\n${stream}\nendstream`);
+    objects.push(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 595 842] /Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${objects.length} 0 R >>`);
+    kids.push(`${objects.length} 0 R`);
+  });
+  objects[1] = `<< /Type /Pages /Kids [${kids.join(' ')}] /Count ${kids.length} >>`;
+
+  let out = '%PDF-1.4\n';
+  const offsets = objects.map((obj, n) => {
+    const at = Buffer.byteLength(out, 'latin1');
+    out += `${n + 1} 0 obj\n${obj}\nendobj\n`;
+    return at;
+  });
+  const xref = Buffer.byteLength(out, 'latin1');
+  out += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  out += offsets.map((o) => `${String(o).padStart(10, '0')} 00000 n \n`).join('');
+  out += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  return Buffer.from(out, 'latin1');
+}
+
+// Same content as the HTML bill, laid out on A4 with the line items
+// continuing on further pages when they don't fit
+function invoicePdf(doc) {
+  const { invoice, customer, store } = doc;
+  const left = 50;
+  const right = 545;
+  const pages = [[]];
+  let page = pages[0];
+  let y = 790;
+  const text = (x, t, opts = {}) => t && page.push({ x, y, text: t, ...opts });
+  const rule = () => page.push({ rule: [left, y - 4, right, y - 4] });
+  const tableHeader = () => {
+    text(left, 'Item', { bold: true });
+    text(330, 'Qty', { bold: true, align: 'right' });
+    text(410, 'Unit price', { bold: true, align: 'right' });
+    text(460, 'GST %', { bold: true, align: 'right' });
+    text(right, 'Amount', { bold: true, align: 'right' });
+    rule();
+    y -= 18;
+  };
+  const ensureRoom = (height) => {
+    if (y - height >= 60) return;
+    page = [];
+    pages.push(page);
+    y = 790;
+    tableHeader();
+  };
+
+  text(left, store.name, { size: 16, bold: true });
+  text(right, 'INVOICE', { size: 16, bold: true, align: 'right' });
+  y -= 16;
+  text(left, [store.address, store.phone].filter(Boolean).join(' - '), { size: 9 });
+  text(right, `No. ${invoice.invoice_id}`, { align: 'right' });
+  y -= 14;
+  text(right, `Date ${invoice.date || ''}`, { align: 'right' });
+  y -= 30;
+
+  text(left, 'BILL TO', { size: 9, bold: true });
+  text(right, 'PAYMENT', { size: 9, bold: true, align: 'right' });
+  y -= 14;
+  text(right, invoice.payment_mode || 'Cash', { align: 'right' });
+  if (invoice.place_of_supply) {
+    page.push({ x: right, y: y - 14, text: `Place of supply: ${invoice.place_of_supply}`, size: 9, align: 'right' });
+  }
+  const billTo = customer
+    ? [`${customer.cust_name} (${customer.cust_id})`, ...addressLines(customer), customer.phone_no, customer.email].filter(Boolean)
+    : ['Walk-in customer'];
+  billTo.forEach((l) => {
+    text(left, l);
+    y -= 14;
+  });
+  y -= 16;
+
+  tableHeader();
+  doc.lines.forEach((l) => {
+    ensureRoom(16);
+    text(left, `${l.product_name || l.product_id} (${l.product_id})`);
+    text(330, String(l.quantity_sold), { align: 'right' });
+    text(410, money(l.unit_price), { align: 'right' });
+    text(460, String(l.tax_rate), { align: 'right' });
+    text(right, money(l.taxable_value), { align: 'right' });
+    y -= 16;
+  });
+  if (!doc.lines.length) {
+    text(left, 'No line items recorded');
+    y -= 16;
+  }
+  y -= 8;
+
+  const totals = totalsRows(doc);
+  totals.forEach(([label, amount], n) => {
+    ensureRoom(16);
+    const bold = n === totals.length - 1;
+    text(330, label, { bold });
+    text(right, money(amount), { bold, align: 'right' });
+    y -= 16;
+  });
+
+  const terms = creditTerms(doc);
+  if (terms) {
+    ensureRoom(60);
+    y -= 12;
+    text(left, 'CREDIT TERMS', { size: 9, bold: true });
+    y -= 14;
+    terms.forEach((t) => {
+      text(left, t);
+      y -= 14;
+    });
+  }
+  ensureRoom(40);
+  y -= 20;
+  text(left, 'Thank you for your business.', { size: 9 });
+  return buildPdf(pages);
+}
+
+// Printable bill: ?format=html (default) or pdf; ?download=1 saves the PDF
+app.get('/api/invoices/:id/document', [
+  param('id').isString(),
+  query('format').optional().isIn(['html', 'pdf'])
+], handleValidation, async (req, res) => {
+  try {
+    const doc = await invoiceDocument(req.params.id);
+    if (req.query.format !== 'pdf') return res.type('html').send(invoiceHtml(doc));
+    const name = `invoice-${doc.invoice.invoice_id}.pdf`;
+    res.type('pdf');
+    res.set('Content-Disposition', `${req.query.download ? 'attachment' : 'inline'}; filename="${name}"`);
+    res.send(invoicePdf(doc));
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+/* ----------------------------
+   ROUTES: Archive, restore & trash
+   ---------------------------- */
+// Count of rows in `table` still pointing at `id` that are not archived
+async function liveCount(table, column, id) {
+  const { c } = await dbGet(`SELECT COUNT(*) AS c FROM ${table} WHERE ${column} = ? AND deleted_at IS NULL`, [id]);
+  return c;
+}
+
+/**
+ * Everything that can be deleted is archived first: DELETE stamps deleted_at
+ * and the row moves to the Trash, where it can be restored or purged for good.
+ * Rows whose existence moved stock or money undo that in `archived` and redo
+ * it in `restored`; `parents` must be live before a row comes back, and `refs`
+ * must be gone (archived or not) before a row is purged.
+ */
+const archivable = {
+  customers: {
+    key: "cust_id",
+    title: (r) => r.cust_name,
+    async archived(r) {
+      const open = await dbGet(
+        "SELECT COUNT(*) AS c FROM loans WHERE cust_id = ? AND status = 'open' AND deleted_at IS NULL",
+        [r.cust_id]
+      );
+      if (open.c > 0) throw httpError(409, `${r.cust_id} still has ${open.c} open loans`);
+    },
+    refs: [
+      ["invoices", "cust_id", "invoices"],
+      ["loans", "cust_id", "loans"],
+    ],
+  },
+  suppliers: {
+    key: "supplier_id",
+    title: (r) => r.supplier_name,
+    async archived(r) {
+      const open = await dbGet(
+        "SELECT COUNT(*) AS c FROM purchase_orders WHERE supplier_id = ? AND status IN ('open','partial')",
+        [r.supplier_id]
+      );
+      if (open.c > 0) throw httpError(409, `${r.supplier_id} still has ${open.c} open purchase orders`);
+    },
+    refs: [
+      ["products", "supplier_id", "products"],
+      ["stock", "supplier_id", "stock intake rows"],
+      ["purchase_orders", "supplier_id", "purchase orders"],
+    ],
+  },
+  products: {
+    key: "product_id",
+    title: (r) => r.product_name,
+    refs: [
+      ["sales", "product_id", "sales"],
+      ["stock", "product_id", "stock intake rows"],
+      ["purchase_order_lines", "product_id", "purchase order lines"],
+    ],
+    // opening and adjustment movements go with a product that was never traded
+    async purged(r) {
+      await dbRun("DELETE FROM inventory_movements WHERE product_id = ?", [r.product_id]);
+    },
+  },
+  stock: {
+    key: "stock_id",
+    title: (r) => `${r.quantity} × ${r.product_id}`,
+    parents: [["product_id", "products"]],
+    async archived(r) {
+      await loadManualIntake(r.stock_id);
+      await moveStock(r.product_id, -r.quantity, "adjustment", { reason: `Stock intake ${r.stock_id} archived`, ref: r.stock_id });
+    },
+    async restored(r) {
+      await moveStock(r.product_id, r.quantity, "receipt", { reason: `Stock intake ${r.stock_id} restored`, ref: r.stock_id });
+    },
+  },
+  sales: {
+    key: "sales_id",
+    title: (r) => `${r.quantity_sold} × ${r.product_id}`,
+    parents: [
+      ["product_id", "products"],
+      ["invoice_id", "invoices"],
+    ],
+    refs: [["sales_return_lines", "sales_id", "credit note lines"]],
+    async archived(r) {
+      await loadEditableSale(r.sales_id);
+      await moveStock(r.product_id, r.quantity_sold, "adjustment", { reason: `Sale ${r.sales_id} archived`, ref: r.sales_id });
+    },
+    // invoice lines archived before they were locked stay in the trash
+    async restored(r) {
+      if (r.invoice_id) throw httpError(409, `Sale ${r.sales_id} is on invoice ${r.invoice_id}; sell it again at checkout`);
+      await moveStock(r.product_id, -r.quantity_sold, "sale", { reason: `Sale ${r.sales_id} restored`, ref: r.sales_id });
+    },
+  },
+  invoices: {
+    key: "invoice_id",
+    title: (r) => `${r.cust_id || ""} · ${r.total_amt}`,
+    parents: [["cust_id", "customers"]],
+    async archived(r) {
+      if (r.loan_id) throw httpError(409, `Invoice is charged to credit loan ${r.loan_id}`);
+      const lines = await liveCount("sales", "invoice_id", r.invoice_id);
+      if (lines > 0) throw httpError(409, `Invoice has ${lines} sales lines; correct it with a credit note`);
+      await assertUnreferenced(r.invoice_id, [["sales_returns", "invoice_id", "credit notes"]]);
+    },
+    refs: [
+      ["sales", "invoice_id", "sales lines"],
+      ["sales_returns", "invoice_id", "credit notes"],
+    ],
+  },
+  loans: {
+    key: "loan_id",
+    title: (r) => `${r.cust_id || ""} · ${r.loan_amount}`,
+    parents: [["cust_id", "customers"]],
+    async archived(r) {
+      if ((await liveCount("payments", "loan_id", r.loan_id)) > 0) {
+        throw httpError(409, "Loan has recorded payments and cannot be deleted");
+      }
+      if ((await liveCount("invoices", "loan_id", r.loan_id)) > 0) {
+        throw httpError(409, "Loan carries credit purchases and cannot be deleted");
+      }
+    },
+    refs: [
+      ["payments", "loan_id", "payments"],
+      ["invoices", "loan_id", "invoices"],
+    ],
+  },
+  payments: {
+    key: "pay_id",
+    title: (r) => `${r.loan_id} · ${r.amount_paid}`,
+    parents: [["loan_id", "loans"]],
+    async archived(r) {
+      await loadEditablePayment(r.pay_id);
+      await syncLoanBalance(r.loan_id);
+    },
+    async restored(r) {
+      await syncLoanBalance(r.loan_id);
+    },
+  },
+};
+
+async function loadArchivable(entity, id) {
+  const spec = archivable[entity];
+  const row = await dbGet(`SELECT * FROM ${entity} WHERE ${spec.key} = ?`, [id]);
+  if (!row) throw httpError(404, "Not found");
+  return row;
+}
+
+app.delete("/api/:entity/:id", async (req, res, next) => {
+  const { entity, id } = req.params;
+  const spec = archivable[entity];
+  if (!spec) return next();
+  try {
+    await auditedTransaction(req, async () => {
+      const row = await loadArchivable(entity, id);
+      if (row.deleted_at) throw httpError(409, `${id} is already in the trash`);
+      await dbRun(`UPDATE ${entity} SET deleted_at = ? WHERE ${spec.key} = ?`, [new Date().toISOString(), id]);
+      if (spec.archived) await spec.archived(row);
+    });
+    res.json({ message: "Moved to trash", id });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+app.post("/api/:entity/:id/restore", async (req, res, next) => {
+  const { entity, id } = req.params;
+  const spec = archivable[entity];
+  if (!spec) return next();
+  try {
+    await auditedTransaction(req, async () => {
+      const row = await loadArchivable(entity, id);
+      if (!row.deleted_at) throw httpError(409, `${id} is not in the trash`);
+      for (const [column, parent] of spec.parents || []) {
+        if (!row[column]) continue;
+        const p = await dbGet(`SELECT deleted_at FROM ${parent} WHERE ${archivable[parent].key} = ?`, [row[column]]);
+        if (p && p.deleted_at) throw httpError(409, `Restore ${parent} ${row[column]} first`);
+      }
+      await dbRun(`UPDATE ${entity} SET deleted_at = NULL WHERE ${spec.key} = ?`, [id]);
+      if (spec.restored) await spec.restored(row);
+    });
+    res.json({ message: "Restored", id });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// Everything archived, newest first
+app.get("/api/trash", async (req, res) => {
+  try {
+    const items = [];
+    for (const [entity, spec] of Object.entries(archivable)) {
+      const rows = await dbAll(`SELECT * FROM ${entity} WHERE deleted_at IS NOT NULL`);
+      rows.forEach((r) => items.push({ entity, id: r[spec.key], title: spec.title(r), deleted_at: r.deleted_at }));
+    }
+    items.sort((a, b) => b.deleted_at.localeCompare(a.deleted_at));
+    res.json(items);
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// Permanent delete, only from the trash and only once nothing points at the row
+app.delete("/api/trash/:entity/:id", async (req, res) => {
+  const { entity, id } = req.params;
+  const spec = archivable[entity];
+  if (!spec) return res.status(404).json({ message: "Not found" });
+  try {
+    await auditedTransaction(req, async () => {
+      const row = await loadArchivable(entity, id);
+      if (!row.deleted_at) throw httpError(409, `${id} is not in the trash`);
+      await assertUnreferenced(id, spec.refs || []);
+      if (spec.purged) await spec.purged(row);
+      await dbRun(`DELETE FROM ${entity} WHERE ${spec.key} = ?`, [id]);
+    });
+    res.json({ message: "Deleted permanently", id });
+  } catch (err) {
+    sendError(res, err);
+  }
 });
 
+/* ----------------------------
+   Import & export
+   ---------------------------- */
+/**
+ * Entities that can be exported and imported: the rules of their create route
+ * and the create and update code their routes run. Imported rows go through
+ * that same code, so they get the same checks, side effects (stock, balances)
+ * and audit entries as rows entered by hand.
+ */
+const transferable = {
+  customers: { rules: customerRules, create: createCustomer, update: updateCustomer },
+  suppliers: { rules: supplierRules, create: createSupplier, update: updateSupplier },
+  products: { rules: productRules, create: createProduct, update: updateProduct },
+  stock: { rules: stockRules, create: createStock, update: updateStock },
+  sales: { rules: saleRules, create: createSale, update: updateSale },
+  // new invoices need their items, so they import from JSON rows rather than CSV
+  invoices: { rules: invoiceRules, create: createInvoice, update: updateInvoice },
+  loans: { rules: loanRules, create: createLoan, update: updateLoan },
+  payments: { rules: paymentRules, create: createPayment, update: updatePayment },
+};
+const maxImportRows = 5000;
+
+function csvCell(value) {
+  if (value === null || value === undefined) return "";
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Rows of a CSV file keyed by its header row; quoted fields may hold commas,
+// quotes ("") and line breaks, as spreadsheets write them
+function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let field = "";
+  let quoted = false;
+  const src = text.replace(/^\uFEFF/, "");
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === ",") {
+      record.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && src[i + 1] === "\n") i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = "";
+    } else field += ch;
+  }
+  if (field || record.length) records.push([...record, field]);
+
+  const [header = [], ...rows] = records.filter((r) => r.some((cell) => cell.trim() !== ""));
+  const columns = header.map((h) => h.trim());
+  return rows.map((r) => Object.fromEntries(columns.map((c, n) => [c, r[n] === undefined ? "" : r[n]])));
+}
+
+// Validation errors of one imported row against the create rules, one per field
+async function rowErrors(rules, row) {
+  const check = { body: row };
+  for (const rule of rules) await rule.run(check);
+  return validationResult(check)
+    .array({ onlyFirstError: true })
+    .map((e) => ({ param: e.param, msg: e.msg }));
+}
+
+// Live rows as CSV (opens in Excel, UTF-8 safe) or JSON; ?format=csv|json
+transferRouter.get(
+  "/:entity/export",
+  [query("format").optional().isIn(["csv", "json"])],
+  handleValidation,
+  async (req, res, next) => {
+    if (!transferable[req.params.entity]) return next();
+    const spec = audited[req.params.entity];
+    try {
+      const columns = (await dbAll(`PRAGMA table_info(${spec.table})`))
+        .map((c) => c.name)
+        .filter((c) => c !== "deleted_at");
+      const rows = await dbAll(
+        `SELECT ${columns.join(",")} FROM ${spec.table} WHERE deleted_at IS NULL ORDER BY ${spec.key}`
+      );
+      const name = `${req.params.entity}-${today()}`;
+      if (req.query.format === "json") {
+        res.attachment(`${name}.json`);
+        return res.json(rows);
+      }
+      const lines = [columns.join(","), ...rows.map((row) => columns.map((c) => csvCell(row[c])).join(","))];
+      res.attachment(`${name}.csv`);
+      res.type("text/csv").send(`\uFEFF${lines.join("\r\n")}\r\n`);
+    } catch (err) {
+      sendError(res, err);
+    }
+  }
+);
+
+/**
+ * Imports a CSV file (Content-Type text/csv) or JSON { rows: [...] }. Each row
+ * is checked against the create route's rules, then created, or updated when
+ * its id already exists. Blank cells count as not given; rows without an id
+ * are numbered like any other new record. All rows are saved in one
+ * transaction; a row that fails is undone on its own and reported, the rest
+ * are kept. With ?dry_run=1 nothing is written. Answers with counts and one
+ * report entry per row (row numbers start at 1 for the first row under the header).
+ */
+transferRouter.post(
+  "/:entity/import",
+  express.text({ type: ["text/csv", "text/plain"], limit: bodyLimit }),
+  async (req, res, next) => {
+    const entity = req.params.entity;
+    const ops = transferable[entity];
+    if (!ops) return next();
+    const spec = audited[entity];
+    const dryRun = ["1", "true"].includes(req.query.dry_run);
+    const request = `${req.method} ${req.originalUrl}`;
+    try {
+      const rows = typeof req.body === "string" ? parseCsv(req.body) : req.body.rows;
+      if (!Array.isArray(rows) || !rows.length) {
+        throw httpError(400, "Send a CSV file or { rows: [...] } with at least one row");
+      }
+      if (rows.length > maxImportRows) throw httpError(400, `Import at most ${maxImportRows} rows at a time`);
+
+      const logged = [];
+      const report = await withTransaction(async () => {
+        const report = [];
+        for (const [n, raw] of rows.entries()) {
+          const row = Object.fromEntries(
+            Object.entries(raw || {}).filter(([, v]) => v !== "" && v !== null && v !== undefined)
+          );
+          const id = row[spec.key];
+          const errors = await rowErrors(ops.rules, row);
+          const locked = lockedFinanceField(req.user.role, row);
+          if (locked) errors.push({ param: locked, msg: `Only an accountant can change ${locked}` });
+          const existing =
+            id === undefined ? null : await dbGet(`SELECT deleted_at FROM ${spec.table} WHERE ${spec.key} = ?`, [id]);
+          if (existing && existing.deleted_at) {
+            errors.push({ param: spec.key, msg: `${id} is in the trash; restore it first` });
+          }
+
+          const action = existing ? "update" : "create";
+          const entry = { row: n + 1, id: id === undefined ? null : id, action };
+          if (errors.length) {
+            report.push({ ...entry, status: "invalid", errors });
+            continue;
+          }
+          if (dryRun) {
+            report.push({ ...entry, status: "valid" });
+            continue;
+          }
+          await dbRun("SAVEPOINT import_row");
+          try {
+            const snapshot = await auditBefore({ resource: entity, id: existing ? id : undefined, action }, row);
+            const result = existing ? await ops.update(id, row) : await ops.create(row);
+            const saved = existing ? id : result.id;
+            logged.push(...(await auditAfter(req.user.username, request, snapshot, saved)));
+            await dbRun("RELEASE import_row");
+            report.push({ ...entry, id: saved, status: "saved" });
+          } catch (err) {
+            await dbRun("ROLLBACK TO import_row");
+            await dbRun("RELEASE import_row");
+            report.push({ ...entry, status: "failed", errors: [{ msg: describeError(err)[1] }] });
+          }
+        }
+        return report;
+      });
+      broadcastChanges(logged);
+
+      const count = (status) => report.filter((r) => r.status === status).length;
+      res.json({
+        dry_run: dryRun,
+        total: report.length,
+        created: report.filter((r) => r.status === "saved" && r.action === "create").length,
+        updated: report.filter((r) => r.status === "saved" && r.action === "update").length,
+        valid: count("valid"),
+        invalid: count("invalid"),
+        failed: count("failed"),
+        rows: report,
+      });
+    } catch (err) {
+      sendError(res, err);
+    }
+  }
+);
 
 /* ----------------------------
    Error handling & start
@@ -371,6 +4431,14 @@ app.use((err, req, res, next) => {
 
 const PORT = process.env.PORT || 4000;
 const HOST = "localhost";
-app.listen(PORT, HOST, () => {
-  console.log(`✅ Backend listening on http://${HOST}:${PORT}`);
-});
+migrate(db)
+  .then(() => Promise.all([createFirstAdmin(), seedNumberSequences()]))
+  .then(() => {
+    app.listen(PORT, HOST, () => {
+      console.log(`✅ Backend listening on http://${HOST}:${PORT}`);
+    });
+  })
+  .catch((err) => {
+    console.error("❌ Could not prepare the database:", err.message);
+    process.exit(1);
+  });